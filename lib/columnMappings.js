@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Remembered column mappings, keyed by header signature and processing type:
+//   { "<signature>": { "<processingType>": { "<expected field>": "<source column>" } } }
+// so the next export from the same tool is mapped automatically.
+class ColumnMappingStore {
+  constructor(storePath) {
+    this.storePath = storePath;
+    this.mappings = {};
+    if (fs.existsSync(storePath)) {
+      try {
+        this.mappings = JSON.parse(fs.readFileSync(storePath, 'utf-8'));
+      } catch (error) {
+        console.error('Failed to load column mappings:', error.message);
+      }
+    }
+  }
+
+  get(signature) {
+    return this.mappings[signature] || {};
+  }
+
+  save(signature, processingType, mapping) {
+    this.mappings[signature] = Object.assign({}, this.mappings[signature], { [processingType]: mapping });
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    fs.writeFileSync(this.storePath, JSON.stringify(this.mappings, null, 2));
+  }
+}
+
+// Identify a header row regardless of case and surrounding whitespace
+function headerSignature(headers) {
+  const normalized = headers.map(header => String(header).trim().toLowerCase());
+  return crypto.createHash('sha1').update(JSON.stringify(normalized)).digest('hex').slice(0, 16);
+}
+
+module.exports = {
+  ColumnMappingStore,
+  headerSignature
+};
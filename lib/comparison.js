@@ -0,0 +1,89 @@
+const { AI_STATUS_COLUMN, AI_STATUS } = require('./outputSchema');
+const { normalizeValue } = require('./tabular');
+
+// Comparison runs send the same rows through several models. Each output row
+// keeps the source columns, then every AI column once per model
+// ("Severity (gemma3:4b)", "Severity (qwen3:8b)", ...), each model's AI Status,
+// and whether the models agree on the compared columns. Rows where a model gave
+// no valid answer are not compared.
+
+const AGREEMENT_COLUMN = 'Models Agree';
+const DISAGREEMENTS_COLUMN = 'Disagreements';
+const AGREEMENT_SHEET = 'Model Agreement';
+
+function comparisonColumn(column, model) {
+  return `${column} (${model})`;
+}
+
+// Values count as equal when they only differ in case, spacing or a trailing
+// full stop, so "Phone reboots." and "phone reboots" agree
+function comparableValue(value) {
+  return normalizeValue(value).replace(/[.!]+$/, '').toLowerCase();
+}
+
+// One output row from the source row and each model's merged row (as built by
+// mergeAiFields), in the order of `models`. `compareColumns` is the subset of
+// `aiColumns` checked for agreement.
+function mergeComparisonRow(sourceRow, modelRows, models, aiColumns, compareColumns) {
+  const merged = Object.assign({}, sourceRow);
+  aiColumns.forEach(column => {
+    models.forEach((model, i) => {
+      merged[comparisonColumn(column, model)] = modelRows[i][column];
+    });
+  });
+  models.forEach((model, i) => {
+    merged[comparisonColumn(AI_STATUS_COLUMN, model)] = modelRows[i][AI_STATUS_COLUMN];
+  });
+
+  const compared = modelRows.every(row => row[AI_STATUS_COLUMN] === AI_STATUS.ok);
+  const disagreements = compared
+    ? compareColumns.filter(column => new Set(modelRows.map(row => comparableValue(row[column]))).size > 1)
+    : [];
+  merged[AGREEMENT_COLUMN] = compared ? (disagreements.length === 0 ? 'Yes' : 'No') : '';
+  merged[DISAGREEMENTS_COLUMN] = disagreements.join(', ');
+  return merged;
+}
+
+// Per compared column: how many compared rows all models agree on
+function agreementRates(sheets, compareColumns) {
+  const compared = [];
+  sheets.forEach(sheet => {
+    sheet.rows.forEach(row => {
+      if (row[AGREEMENT_COLUMN]) {
+        compared.push(row[DISAGREEMENTS_COLUMN] ? row[DISAGREEMENTS_COLUMN].split(', ') : []);
+      }
+    });
+  });
+  return compareColumns.map(column => {
+    const agreeing = compared.filter(disagreements => !disagreements.includes(column)).length;
+    return {
+      field: column,
+      compared: compared.length,
+      agreeing: agreeing,
+      rate: compared.length ? agreeing / compared.length : null
+    };
+  });
+}
+
+// Summary sheet of the agreement rates
+function agreementSheet(rates, models) {
+  return {
+    name: AGREEMENT_SHEET,
+    rows: rates.map(rate => ({
+      Field: rate.field,
+      Models: models.join(', '),
+      'Rows Compared': rate.compared,
+      Agreeing: rate.agreeing,
+      Agreement: rate.rate === null ? '' : Math.round(rate.rate * 1000) / 10 + '%'
+    }))
+  };
+}
+
+module.exports = {
+  AGREEMENT_COLUMN,
+  DISAGREEMENTS_COLUMN,
+  comparisonColumn,
+  mergeComparisonRow,
+  agreementRates,
+  agreementSheet
+};
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const { PROVIDER_TYPES } = require('./providers');
+
+// Server settings, from the defaults below, then config.json (or the file named
+// by CONFIG_FILE), then environment variables. Directories are relative to the
+// working directory unless given as absolute paths.
+
+const DEFAULTS = {
+  port: 3001,
+  ollamaUrl: 'http://127.0.0.1:11434',
+  // Model backends: [{ id, type, url, apiKey }] with type ollama, ollama-chat
+  // or openai (see lib/providers.js). Unset means one Ollama at ollamaUrl.
+  providers: null,
+  defaultModel: 'gemma3:4b',
+  // The first token can take a while on long prompts; after that the model
+  // should keep producing tokens steadily
+  requestTimeoutMs: 5 * 60 * 1000,
+  idleTimeoutMs: 60 * 1000,
+  uploadLimitMb: 10,
+  uploadsDir: 'uploads',
+  downloadsDir: 'downloads',
+  dataDir: 'data'
+};
+
+// Environment variable for each setting
+const ENV_VARS = {
+  port: 'PORT',
+  ollamaUrl: 'OLLAMA_URL',
+  providers: 'PROVIDERS',
+  defaultModel: 'DEFAULT_MODEL',
+  requestTimeoutMs: 'OLLAMA_TIMEOUT_MS',
+  idleTimeoutMs: 'OLLAMA_IDLE_TIMEOUT_MS',
+  uploadLimitMb: 'UPLOAD_LIMIT_MB',
+  uploadsDir: 'UPLOADS_DIR',
+  downloadsDir: 'DOWNLOADS_DIR',
+  dataDir: 'DATA_DIR'
+};
+
+const NUMBER_SETTINGS = ['port', 'requestTimeoutMs', 'idleTimeoutMs', 'uploadLimitMb'];
+
+function readConfigFile(filePath, required) {
+  if (!fs.existsSync(filePath)) {
+    if (required) {
+      throw new Error(`Config file not found: ${filePath}`);
+    }
+    return {};
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Config file ${filePath} is not valid JSON: ${error.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`Config file ${filePath} must hold a JSON object`);
+  }
+  const unknown = Object.keys(parsed).filter(key => !(key in DEFAULTS));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown setting${unknown.length === 1 ? '' : 's'} in ${filePath}: ${unknown.join(', ')}`);
+  }
+  return parsed;
+}
+
+// URLs must be http(s) and lose any trailing slash so paths can be appended
+function normalizeUrl(value, name) {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch (error) {
+    throw new Error(`Setting ${name} is not a valid URL: "${value}"`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`Setting ${name} must be an http or https URL, got "${value}"`);
+  }
+  return url.href.replace(/\/+$/, '');
+}
+
+// Providers from the config file, or a JSON array in PROVIDERS. Ids name the
+// provider in model references ("<id>/<model>"), so they cannot contain "/".
+function normalizeProviders(value, ollamaUrl) {
+  if (value === null || value === undefined) {
+    return [{ id: 'ollama', type: 'ollama', url: ollamaUrl, apiKey: null }];
+  }
+  let providers = value;
+  if (typeof providers === 'string') {
+    try {
+      providers = JSON.parse(providers);
+    } catch (error) {
+      throw new Error('Setting providers is not valid JSON');
+    }
+  }
+  if (!Array.isArray(providers) || providers.length === 0) {
+    throw new Error('Setting providers must be a non-empty array');
+  }
+  const ids = new Set();
+  return providers.map((provider, i) => {
+    const name = `providers[${i}]`;
+    if (!provider || typeof provider !== 'object') {
+      throw new Error(`Setting ${name} must be an object`);
+    }
+    const id = String(provider.id || '').trim();
+    if (!id || id.includes('/')) {
+      throw new Error(`Setting ${name}.id must be a name without "/"`);
+    }
+    if (ids.has(id)) {
+      throw new Error(`Setting ${name}.id "${id}" is used twice`);
+    }
+    ids.add(id);
+    if (!PROVIDER_TYPES.includes(provider.type)) {
+      throw new Error(`Setting ${name}.type must be one of: ${PROVIDER_TYPES.join(', ')}`);
+    }
+    let url = normalizeUrl(provider.url, `${name}.url`);
+    // OpenAI-compatible servers are often given with their /v1 prefix
+    if (provider.type === 'openai') {
+      url = url.replace(/\/v1$/, '');
+    }
+    return { id: id, type: provider.type, url: url, apiKey: provider.apiKey ? String(provider.apiKey) : null };
+  });
+}
+
+// Numbers must be positive and URLs valid
+function normalize(config) {
+  NUMBER_SETTINGS.forEach(key => {
+    const value = Number(config[key]);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error(`Setting ${key} must be a positive number, got "${config[key]}"`);
+    }
+    config[key] = value;
+  });
+  config.ollamaUrl = normalizeUrl(config.ollamaUrl, 'ollamaUrl');
+  config.providers = normalizeProviders(config.providers, config.ollamaUrl);
+  config.defaultModel = String(config.defaultModel).trim();
+  if (!config.defaultModel) {
+    throw new Error('Setting defaultModel must not be empty');
+  }
+  return config;
+}
+
+// Throws with a message naming the bad setting, so the server does not start
+// with a half-valid configuration
+function loadConfig(env) {
+  env = env || process.env;
+  const filePath = path.resolve(env.CONFIG_FILE || 'config.json');
+  const config = Object.assign({}, DEFAULTS, readConfigFile(filePath, Boolean(env.CONFIG_FILE)));
+  Object.keys(ENV_VARS).forEach(key => {
+    const value = env[ENV_VARS[key]];
+    if (value !== undefined && value !== '') {
+      config[key] = value;
+    }
+  });
+  return Object.freeze(normalize(config));
+}
+
+// Settings as shown by GET /api/config: everything but the providers' API keys
+function publicConfig(config) {
+  return Object.assign({}, config, {
+    providers: config.providers.map(provider => ({ id: provider.id, type: provider.type, url: provider.url }))
+  });
+}
+
+module.exports = {
+  DEFAULTS,
+  ENV_VARS,
+  loadConfig,
+  publicConfig
+};
@@ -0,0 +1,77 @@
+const { AI_STATUS_COLUMN, AI_STATUS } = require('./outputSchema');
+const { HUMAN_EDITED_COLUMN } = require('./review');
+const { normalizeValue } = require('./tabular');
+
+// Incremental runs against a previous output file. Rows are matched on the
+// processing type's match key (e.g. Case Code): unchanged rows keep their
+// previous AI fields, including reviewer corrections, and only new or changed
+// rows are sent to the model.
+
+const DELTA_STATUS_COLUMN = 'Delta Status';
+const DELTA_STATUS = {
+  new: 'New',
+  changed: 'Changed',
+  carried: 'Carried Over'
+};
+
+// Previous output rows by match key. Sheets without the key column (such as
+// summary sheets) are skipped; the first row with a key wins.
+function indexPreviousRows(sheets, keyColumn) {
+  const index = new Map();
+  sheets.forEach(sheet => {
+    sheet.rows.forEach(row => {
+      const key = normalizeValue(row[keyColumn]);
+      if (key && !index.has(key)) {
+        index.set(key, row);
+      }
+    });
+  });
+  return index;
+}
+
+// A previous row is only worth carrying over if the model gave a usable answer
+// or a reviewer touched it
+function hasUsableResult(previousRow) {
+  return !(AI_STATUS_COLUMN in previousRow) ||
+    previousRow[AI_STATUS_COLUMN] === AI_STATUS.ok ||
+    normalizeValue(previousRow[HUMAN_EDITED_COLUMN]) !== '';
+}
+
+// Status of each row: { status, previous } where `previous` is the row to carry
+// over. `compareColumns` are the source columns whose change means the row has
+// to be processed again; null compares every column of the row.
+function classifyRows(rows, previousIndex, keyColumn, compareColumns) {
+  return rows.map(row => {
+    const key = normalizeValue(row[keyColumn]);
+    const previous = key ? previousIndex.get(key) : null;
+    if (!previous) {
+      return { status: DELTA_STATUS.new, previous: null };
+    }
+    const same = (compareColumns || Object.keys(row)).every(column => normalizeValue(row[column]) === normalizeValue(previous[column]));
+    return same && hasUsableResult(previous)
+      ? { status: DELTA_STATUS.carried, previous: previous }
+      : { status: DELTA_STATUS.changed, previous: null };
+  });
+}
+
+// The current source row with the previous run's AI columns, status and
+// reviewer marker
+function carryOver(sourceRow, previousRow, outputColumns) {
+  const merged = Object.assign({}, sourceRow);
+  Object.values(outputColumns).forEach(column => {
+    merged[column] = previousRow[column] === undefined ? '' : previousRow[column];
+  });
+  merged[AI_STATUS_COLUMN] = previousRow[AI_STATUS_COLUMN] || AI_STATUS.ok;
+  if (HUMAN_EDITED_COLUMN in previousRow) {
+    merged[HUMAN_EDITED_COLUMN] = previousRow[HUMAN_EDITED_COLUMN];
+  }
+  return merged;
+}
+
+module.exports = {
+  DELTA_STATUS_COLUMN,
+  DELTA_STATUS,
+  indexPreviousRows,
+  classifyRows,
+  carryOver
+};
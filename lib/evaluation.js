@@ -0,0 +1,255 @@
+const { AI_STATUS_COLUMN, AI_STATUS } = require('./outputSchema');
+const { normalizeValue } = require('./tabular');
+
+// Scoring a processing type against a hand-labeled file. The labeled file is an
+// ordinary input that also holds the correct values in the type's output
+// columns (for VOC: Module and Severity). Those columns are taken off the rows
+// before the model sees them, and the model's answers are scored against them.
+// A type asks for this with an `evaluation` definition:
+//   {
+//     fields:          AI fields scored for accuracy
+//     confusionMatrix: field tabled as expected x predicted counts
+//     precisionRecall: field with precision and recall per value
+//   }
+// Rows without a label for a field are not scored on it. Rows the model gave no
+// valid answer for count as wrong, predicted as "(no answer)". Values that only
+// differ in case or spacing count as the same.
+
+const NO_ANSWER = '(no answer)';
+const MAX_SHEET_NAME = 31;
+
+// One spelling per value: the enum's, else the first one seen
+function canonicalizer(order) {
+  const spellings = new Map((order || []).map(value => [value.toLowerCase(), value]));
+  return value => {
+    const key = value.toLowerCase();
+    if (!spellings.has(key)) {
+      spellings.set(key, value);
+    }
+    return spellings.get(key);
+  };
+}
+
+function percent(rate) {
+  return rate === null ? '' : Math.round(rate * 1000) / 10 + '%';
+}
+
+// Take the label columns off the rows (in place) and return the scored labels
+// in the same layout: [{ name, rows: [{ column: value }] }]. Throws when the
+// file has none of the scored columns.
+function takeLabels(sheets, processor) {
+  const labelColumns = Object.values(processor.outputColumns);
+  const scored = processor.evaluation.fields.map(field => processor.outputColumns[field]);
+  if (!scored.some(column => sheets.some(sheet => sheet.rows.some(row => column in row)))) {
+    throw new Error(`The labeled file has none of the columns ${scored.join(', ')}`);
+  }
+  return sheets.map(sheet => ({
+    name: sheet.name,
+    rows: sheet.rows.map(row => {
+      const labels = {};
+      labelColumns.forEach(column => {
+        if (column in row) {
+          if (scored.includes(column)) {
+            labels[column] = normalizeValue(row[column]);
+          }
+          delete row[column];
+        }
+      });
+      return labels;
+    })
+  }));
+}
+
+// Expected x predicted counts; `predicted` also has "(no answer)" when a row had none
+function confusionMatrix(field, pairs, order) {
+  const values = [];
+  pairs.forEach(pair => [pair.expected, pair.predicted].forEach(value => {
+    if (value !== NO_ANSWER && !values.includes(value)) {
+      values.push(value);
+    }
+  }));
+  const known = (order || []).filter(value => values.includes(value));
+  const labels = known.concat(values.filter(value => !known.includes(value)).sort((a, b) => a.localeCompare(b)));
+  const predicted = pairs.some(pair => pair.predicted === NO_ANSWER) ? labels.concat(NO_ANSWER) : labels;
+  return {
+    field: field,
+    expected: labels,
+    predicted: predicted,
+    counts: labels.map(expected => predicted.map(value =>
+      pairs.filter(pair => pair.expected === expected && pair.predicted === value).length
+    ))
+  };
+}
+
+// Precision and recall per value, most labeled first, with their macro averages
+function precisionRecall(field, pairs) {
+  const values = [];
+  pairs.forEach(pair => [pair.expected, pair.predicted].forEach(value => {
+    if (value !== NO_ANSWER && !values.includes(value)) {
+      values.push(value);
+    }
+  }));
+  const classes = values.map(value => {
+    const labeled = pairs.filter(pair => pair.expected === value).length;
+    const predicted = pairs.filter(pair => pair.predicted === value).length;
+    const correct = pairs.filter(pair => pair.expected === value && pair.predicted === value).length;
+    const precision = predicted ? correct / predicted : null;
+    const recall = labeled ? correct / labeled : null;
+    return {
+      value: value,
+      labeled: labeled,
+      predicted: predicted,
+      correct: correct,
+      precision: precision,
+      recall: recall,
+      f1: precision === null || recall === null ? null : (precision + recall ? 2 * precision * recall / (precision + recall) : 0)
+    };
+  }).sort((a, b) => b.labeled - a.labeled || a.value.localeCompare(b.value));
+
+  const average = key => {
+    const rates = classes.map(item => item[key]).filter(rate => rate !== null);
+    return rates.length ? rates.reduce((sum, rate) => sum + rate, 0) / rates.length : null;
+  };
+  return { field: field, classes: classes, macroPrecision: average('precision'), macroRecall: average('recall') };
+}
+
+// Score the processed rows against the labels taken by takeLabels. Sheets and
+// rows must be in the same order as when the labels were taken.
+function evaluate(labelSheets, outputSheets, processor) {
+  const spec = processor.evaluation;
+  const enums = (processor.outputSchema && processor.outputSchema.enums) || {};
+  const keyColumn = processor.outputSchema ? processor.outputSchema.matchKey : null;
+  const pairs = {};
+  const canonical = {};
+  spec.fields.forEach(field => {
+    pairs[field] = [];
+    canonical[field] = canonicalizer(enums[field]);
+  });
+
+  let rows = 0;
+  let unanswered = 0;
+  const misclassified = [];
+  outputSheets.forEach((sheet, sheetIndex) => {
+    sheet.rows.forEach((row, index) => {
+      const labels = labelSheets[sheetIndex].rows[index];
+      const answered = row[AI_STATUS_COLUMN] === AI_STATUS.ok;
+      let labeled = false;
+      spec.fields.forEach(field => {
+        const column = processor.outputColumns[field];
+        if (!labels[column]) {
+          return;
+        }
+        labeled = true;
+        const expected = canonical[field](labels[column]);
+        const predicted = answered && normalizeValue(row[column]) ? canonical[field](normalizeValue(row[column])) : NO_ANSWER;
+        pairs[field].push({ expected: expected, predicted: predicted });
+        if (expected !== predicted) {
+          misclassified.push({
+            sheet: sheet.name,
+            row: index + 1,
+            key: keyColumn ? normalizeValue(row[keyColumn]) : '',
+            field: field,
+            expected: expected,
+            predicted: predicted
+          });
+        }
+      });
+      if (labeled) {
+        rows++;
+        if (!answered) {
+          unanswered++;
+        }
+      }
+    });
+  });
+
+  return {
+    rows: rows,
+    unanswered: unanswered,
+    keyColumn: keyColumn,
+    fields: spec.fields.map(field => {
+      const correct = pairs[field].filter(pair => pair.expected === pair.predicted).length;
+      return {
+        field: field,
+        labeled: pairs[field].length,
+        correct: correct,
+        accuracy: pairs[field].length ? correct / pairs[field].length : null
+      };
+    }),
+    confusionMatrix: spec.confusionMatrix ? confusionMatrix(spec.confusionMatrix, pairs[spec.confusionMatrix], enums[spec.confusionMatrix]) : null,
+    precisionRecall: spec.precisionRecall ? precisionRecall(spec.precisionRecall, pairs[spec.precisionRecall]) : null,
+    misclassified: misclassified
+  };
+}
+
+// The evaluation as summary sheets for the output workbook
+function evaluationSheets(evaluation) {
+  const sheets = [{
+    name: 'Accuracy',
+    rows: evaluation.fields.map(item => ({
+      Field: item.field,
+      'Rows Labeled': item.labeled,
+      Correct: item.correct,
+      Accuracy: percent(item.accuracy)
+    }))
+  }];
+
+  const matrix = evaluation.confusionMatrix;
+  if (matrix) {
+    const corner = 'Expected \\ Predicted';
+    sheets.push({
+      name: `${matrix.field} Confusion`.slice(0, MAX_SHEET_NAME),
+      rows: matrix.expected.map((expected, i) => {
+        const row = { [corner]: expected };
+        matrix.predicted.forEach((predicted, j) => {
+          row[predicted] = matrix.counts[i][j];
+        });
+        row.Total = matrix.counts[i].reduce((sum, count) => sum + count, 0);
+        return row;
+      })
+    });
+  }
+
+  const pr = evaluation.precisionRecall;
+  if (pr) {
+    sheets.push({
+      name: `${pr.field} Precision Recall`.slice(0, MAX_SHEET_NAME),
+      rows: pr.classes.map(item => ({
+        [pr.field]: item.value,
+        Labeled: item.labeled,
+        Predicted: item.predicted,
+        Correct: item.correct,
+        Precision: percent(item.precision),
+        Recall: percent(item.recall),
+        F1: percent(item.f1)
+      }))
+    });
+  }
+
+  sheets.push({
+    name: 'Misclassified',
+    rows: evaluation.misclassified.map(item => ({
+      Sheet: item.sheet,
+      Row: item.row,
+      [evaluation.keyColumn || 'Key']: item.key,
+      Field: item.field,
+      Expected: item.expected,
+      Predicted: item.predicted
+    }))
+  });
+  return sheets;
+}
+
+// "Module 80%, Severity 60%", for output metadata
+function formatAccuracy(evaluation) {
+  return evaluation.fields.map(item => `${item.field} ${percent(item.accuracy) || 'n/a'}`).join(', ');
+}
+
+module.exports = {
+  NO_ANSWER,
+  takeLabels,
+  evaluate,
+  evaluationSheets,
+  formatAccuracy,
+  percent
+};
@@ -0,0 +1,95 @@
+// Model generation options: a processing type's defaults (its `generation`
+// field), overridden per request. Stored as one flat object:
+//   temperature  0-2; 0 makes classifications repeatable
+//   num_ctx      context window in tokens, for long sheets
+//   seed         fixed random seed
+//   format       'json' for Ollama's structured output mode
+// A request can clear a default by sending null for it.
+
+const NUMBER_OPTIONS = {
+  temperature: { min: 0, max: 2, integer: false },
+  num_ctx: { min: 256, max: 1048576, integer: true },
+  seed: { min: -2147483648, max: 2147483647, integer: true }
+};
+const FORMATS = ['json'];
+const OPTION_NAMES = Object.keys(NUMBER_OPTIONS).concat('format');
+
+// Checked copy of `value`; null values are kept so they can clear a default.
+// Throws with a message naming the bad option.
+function normalizeGenerationOptions(value) {
+  if (value === undefined || value === null) {
+    return {};
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Generation options must be an object');
+  }
+  const unknown = Object.keys(value).filter(name => !OPTION_NAMES.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown generation option${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`);
+  }
+
+  const options = {};
+  Object.keys(value).forEach(name => {
+    const raw = value[name];
+    if (raw === null || raw === '') {
+      options[name] = null;
+    } else if (name === 'format') {
+      if (!FORMATS.includes(raw)) {
+        throw new Error(`format must be one of: ${FORMATS.join(', ')}`);
+      }
+      options.format = raw;
+    } else {
+      const rule = NUMBER_OPTIONS[name];
+      const number = Number(raw);
+      if (!Number.isFinite(number) || number < rule.min || number > rule.max || (rule.integer && !Number.isInteger(number))) {
+        throw new Error(`${name} must be ${rule.integer ? 'an integer' : 'a number'} from ${rule.min} to ${rule.max}`);
+      }
+      options[name] = number;
+    }
+  });
+  return options;
+}
+
+// The options a run uses: the type's defaults with the request's overrides,
+// without the cleared ones
+function resolveGenerationOptions(defaults, overrides) {
+  const merged = Object.assign({}, defaults, overrides);
+  Object.keys(merged).forEach(name => {
+    if (merged[name] === null) {
+      delete merged[name];
+    }
+  });
+  return merged;
+}
+
+// Fields of an Ollama /api/generate request: `format` goes at the top level,
+// the rest under `options`
+function toOllamaFields(generation) {
+  const fields = {};
+  const options = {};
+  Object.keys(generation || {}).forEach(name => {
+    if (name === 'format') {
+      fields.format = generation.format;
+    } else {
+      options[name] = generation[name];
+    }
+  });
+  if (Object.keys(options).length > 0) {
+    fields.options = options;
+  }
+  return fields;
+}
+
+// "temperature=0, format=json", for output metadata
+function formatGenerationOptions(generation) {
+  const names = OPTION_NAMES.filter(name => generation && generation[name] !== undefined);
+  return names.length > 0 ? names.map(name => `${name}=${generation[name]}`).join(', ') : null;
+}
+
+module.exports = {
+  OPTION_NAMES,
+  normalizeGenerationOptions,
+  resolveGenerationOptions,
+  toOllamaFields,
+  formatGenerationOptions
+};
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+// Record of every finished run, one JSON object per line. Runs are appended as
+// they finish; deleting one rewrites the file without it.
+class HistoryStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  // Oldest first; a line that does not parse is skipped
+  readAll() {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+    return fs.readFileSync(this.filePath, 'utf-8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          console.error('Skipping unreadable history entry:', error.message);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  append(run) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, JSON.stringify(run) + '\n');
+    return run;
+  }
+
+  // Newest first
+  list() {
+    return this.readAll().reverse();
+  }
+
+  get(id) {
+    return this.readAll().find(run => run.id === id) || null;
+  }
+
+  // Returns the removed run, or null if there was none
+  remove(id) {
+    const runs = this.readAll();
+    const run = runs.find(item => item.id === id);
+    if (!run) {
+      return null;
+    }
+    const kept = runs.filter(item => item.id !== id);
+    fs.writeFileSync(this.filePath, kept.map(item => JSON.stringify(item) + '\n').join(''));
+    return run;
+  }
+}
+
+module.exports = HistoryStore;
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+// In-process job queue persisted to a JSON file. Jobs run one at a time so a
+// single local model is never asked to serve two uploads at once.
+class JobQueue extends EventEmitter {
+  constructor(storePath, handler) {
+    super();
+    this.storePath = storePath;
+    this.handler = handler;
+    this.jobs = new Map();
+    // One listener per open progress stream
+    this.setMaxListeners(0);
+    this.running = false;
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.storePath)) {
+      return;
+    }
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.storePath, 'utf-8'));
+      stored.forEach(job => {
+        // A job that was running when the server stopped goes back in the queue
+        // as long as its uploaded file is still on disk
+        if (job.state === 'running' || job.state === 'queued') {
+          if (job.params.uploadedPath && !fs.existsSync(job.params.uploadedPath)) {
+            job.state = 'failed';
+            job.errors.push('Uploaded file missing after server restart');
+            job.finishedAt = new Date().toISOString();
+          } else {
+            job.state = 'queued';
+          }
+        }
+        this.jobs.set(job.id, job);
+      });
+    } catch (error) {
+      console.error('Failed to load job store:', error.message);
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    fs.writeFileSync(this.storePath, JSON.stringify(Array.from(this.jobs.values()), null, 2));
+  }
+
+  add(fileName, params) {
+    const job = {
+      id: crypto.randomUUID(),
+      state: 'queued',
+      fileName: fileName,
+      params: params,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      rowsProcessed: 0,
+      totalRows: 0,
+      errors: [],
+      rowErrors: [],
+      progress: null,
+      downloadUrl: null,
+      filename: null,
+      result: null
+    };
+    this.jobs.set(job.id, job);
+    this.save();
+    this.emit('update', job);
+    this.runNext();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  // Newest first
+  list() {
+    return Array.from(this.jobs.values())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  update(id, fields) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+    Object.assign(job, fields);
+    this.save();
+    this.emit('update', job);
+    return job;
+  }
+
+  remove(id) {
+    const removed = this.jobs.delete(id);
+    if (removed) {
+      this.save();
+    }
+    return removed;
+  }
+
+  // Start queued jobs in creation order once the previous one has finished
+  start() {
+    this.runNext();
+  }
+
+  async runNext() {
+    if (this.running) {
+      return;
+    }
+    const next = Array.from(this.jobs.values())
+      .filter(job => job.state === 'queued')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+    if (!next) {
+      return;
+    }
+
+    this.running = true;
+    this.update(next.id, { state: 'running', startedAt: new Date().toISOString() });
+    try {
+      const result = await this.handler(next, fields => this.update(next.id, fields));
+      this.update(next.id, Object.assign({}, result, {
+        state: 'done',
+        finishedAt: new Date().toISOString()
+      }));
+    } catch (error) {
+      console.error(`Job ${next.id} failed:`, error);
+      this.update(next.id, {
+        state: 'failed',
+        errors: next.errors.concat(error.message || 'Processing failed'),
+        finishedAt: new Date().toISOString()
+      });
+    } finally {
+      this.running = false;
+      this.runNext();
+    }
+  }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,156 @@
+// Validation of model output rows against a processing type's output schema.
+// A schema looks like:
+//   {
+//     keys: [...],          exact keys, in order
+//     enums: { key: [...] } allowed values per key
+//     required: [...],      keys that must not be blank
+//     matchKey: 'Case Code' key that must echo the input row's value
+//   }
+
+const AI_STATUS_COLUMN = 'AI Status';
+const AI_STATUS = {
+  ok: 'OK',
+  skipped: 'Skipped by model',
+  invalid: 'Invalid output',
+  failed: 'Batch failed'
+};
+
+function isObject(row) {
+  return row && typeof row === 'object' && !Array.isArray(row);
+}
+
+// Fix what can be fixed without asking the model again: key order and the
+// capitalisation/whitespace of enum values. Returns a new object.
+function normalizeRow(row, schema) {
+  if (!isObject(row)) {
+    return row;
+  }
+
+  const keys = Object.keys(row);
+  const sameKeys = keys.length === schema.keys.length && schema.keys.every(key => keys.includes(key));
+  const normalized = {};
+  if (sameKeys) {
+    schema.keys.forEach(key => {
+      normalized[key] = row[key];
+    });
+  } else {
+    Object.assign(normalized, row);
+  }
+
+  Object.keys(schema.enums || {}).forEach(key => {
+    if (typeof normalized[key] === 'string') {
+      const value = normalized[key].trim().toLowerCase();
+      const match = schema.enums[key].find(allowed => allowed.toLowerCase() === value);
+      if (match) {
+        normalized[key] = match;
+      }
+    }
+  });
+  return normalized;
+}
+
+// List everything wrong with one returned row; an empty list means it is valid
+function validateRow(row, inputRow, schema) {
+  if (!isObject(row)) {
+    return ['Row is not a JSON object'];
+  }
+
+  const errors = [];
+  const keys = Object.keys(row);
+  const missing = schema.keys.filter(key => !keys.includes(key));
+  const extra = keys.filter(key => !schema.keys.includes(key));
+  if (missing.length > 0) {
+    errors.push('Missing keys: ' + missing.join(', '));
+  }
+  if (extra.length > 0) {
+    errors.push('Unexpected keys: ' + extra.join(', '));
+  }
+  if (missing.length === 0 && extra.length === 0 && keys.some((key, i) => key !== schema.keys[i])) {
+    errors.push('Keys are not in the expected order');
+  }
+
+  Object.keys(schema.enums || {}).forEach(key => {
+    if (!schema.enums[key].includes(row[key])) {
+      errors.push(`${key} "${row[key]}" is not one of ${schema.enums[key].join('/')}`);
+    }
+  });
+  (schema.required || []).forEach(key => {
+    if (key in row && !String(row[key]).trim()) {
+      errors.push(`${key} is empty`);
+    }
+  });
+
+  const matchKey = schema.matchKey;
+  if (matchKey && inputRow && hasValue(inputRow, matchKey) && String(row[matchKey]) !== String(inputRow[matchKey])) {
+    errors.push(`${matchKey} "${row[matchKey]}" does not match input "${inputRow[matchKey]}"`);
+  }
+  return errors;
+}
+
+function hasValue(row, key) {
+  return row[key] !== undefined && String(row[key]).trim() !== '';
+}
+
+// Match the model's rows to the input rows and validate each one.
+// Rows are matched by position when the match key lines up, otherwise by match key;
+// input rows without a match key value are matched by position only.
+// Returns `rows` aligned with the input (null where no valid row came back) and
+// `invalid` with the input index and errors for every row that needs repair.
+function validateRows(parsed, inputRows, schema) {
+  const matchKey = schema.matchKey;
+  const byKey = new Map();
+  if (matchKey) {
+    parsed.forEach(row => {
+      if (isObject(row) && row[matchKey] !== undefined) {
+        byKey.set(String(row[matchKey]), row);
+      }
+    });
+  }
+
+  const rows = [];
+  const invalid = [];
+  inputRows.forEach((inputRow, index) => {
+    const keyValue = matchKey && hasValue(inputRow, matchKey) ? String(inputRow[matchKey]) : '';
+    let candidate = parsed[index];
+    if (keyValue && (!isObject(candidate) || String(candidate[matchKey]) !== keyValue)) {
+      candidate = byKey.get(keyValue) || candidate;
+    }
+
+    if (!candidate) {
+      rows.push(null);
+      invalid.push({ index: index, key: keyValue, missing: true, errors: ['Row missing from AI response'] });
+      return;
+    }
+
+    const normalized = normalizeRow(candidate, schema);
+    const errors = validateRow(normalized, inputRow, schema);
+    if (errors.length > 0) {
+      rows.push(null);
+      invalid.push({ index: index, key: keyValue, errors: errors });
+    } else {
+      rows.push(normalized);
+    }
+  });
+
+  return { rows: rows, invalid: invalid };
+}
+
+// Build an output row: every source column untouched, followed by the mapped AI
+// fields (blank when the model gave no usable answer) and the row's AI status
+function mergeAiFields(sourceRow, aiRow, outputColumns, status) {
+  const merged = Object.assign({}, sourceRow);
+  Object.keys(outputColumns).forEach(field => {
+    merged[outputColumns[field]] = aiRow ? aiRow[field] : '';
+  });
+  merged[AI_STATUS_COLUMN] = status;
+  return merged;
+}
+
+module.exports = {
+  AI_STATUS_COLUMN,
+  AI_STATUS,
+  normalizeRow,
+  validateRow,
+  validateRows,
+  mergeAiFields
+};
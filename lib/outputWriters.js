@@ -0,0 +1,249 @@
+const xlsx = require('xlsx');
+const { columnsOf, writeDelimited } = require('./tabular');
+
+// Output files for a processing run. Table results are a list of
+// { name, rows } sheets; text results are a single string. Every format can
+// hold either, and JSON, Markdown, HTML and the xlsx document properties also
+// carry the run metadata.
+// Summary sheets (lib/summary.js) are appended to xlsx workbooks, JSON and the
+// reports; the single-table formats leave them out.
+
+const OUTPUT_FORMATS = {
+  xlsx: { ext: '.xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', label: 'Excel (.xlsx)' },
+  csv: { ext: '.csv', contentType: 'text/csv; charset=utf-8', label: 'CSV' },
+  tsv: { ext: '.tsv', contentType: 'text/tab-separated-values; charset=utf-8', label: 'TSV' },
+  json: { ext: '.json', contentType: 'application/json; charset=utf-8', label: 'JSON' },
+  jsonl: { ext: '.jsonl', contentType: 'application/x-ndjson; charset=utf-8', label: 'JSON Lines' },
+  md: { ext: '.md', contentType: 'text/markdown; charset=utf-8', label: 'Markdown report' },
+  html: { ext: '.html', contentType: 'text/html; charset=utf-8', label: 'HTML report' },
+  txt: { ext: '.txt', contentType: 'text/plain; charset=utf-8', label: 'Text' }
+};
+
+const METADATA_LABELS = {
+  inputFilename: 'Input file',
+  processingType: 'Processing type',
+  model: 'Model',
+  compareModels: 'Compared models',
+  promptVersion: 'Prompt version',
+  generation: 'Generation options',
+  timestamp: 'Processed at',
+  rows: 'Rows',
+  previousFilename: 'Previous output',
+  delta: 'Changes',
+  accuracy: 'Accuracy',
+  reviewedRows: 'Rows reviewed'
+};
+
+// 'same' keeps the input's format; unknown values fall back to it as well
+function resolveOutputFormat(requested, inputFormat) {
+  return requested && requested !== 'same' && OUTPUT_FORMATS[requested] ? requested : inputFormat;
+}
+
+function contentTypeFor(filename) {
+  const ext = filename.slice(filename.lastIndexOf('.')).toLowerCase();
+  const format = Object.values(OUTPUT_FORMATS).find(f => f.ext === ext);
+  return format ? format.contentType : 'application/octet-stream';
+}
+
+// Flatten sheets into one table; a Sheet column tells rows apart when there are several
+function flattenSheets(sheets) {
+  if (sheets.length === 1) {
+    return sheets[0].rows;
+  }
+  const rows = [];
+  sheets.forEach(sheet => {
+    sheet.rows.forEach(row => rows.push(Object.assign({ Sheet: sheet.name }, row)));
+  });
+  return rows;
+}
+
+// Text results as a table: one row per paragraph
+function textToSheets(text) {
+  const paragraphs = String(text).split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+  return [{ name: 'Result', rows: paragraphs.map(paragraph => ({ Result: paragraph })) }];
+}
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeMarkdownCell(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/\|/g, '\\|')
+    .replace(/\r?\n/g, '<br>');
+}
+
+function metadataEntries(metadata) {
+  return Object.keys(METADATA_LABELS)
+    .filter(key => metadata[key] !== undefined && metadata[key] !== null)
+    .map(key => [METADATA_LABELS[key], metadata[key]]);
+}
+
+function markdownTable(rows) {
+  const columns = columnsOf(rows);
+  if (columns.length === 0) {
+    return '_No rows_\n';
+  }
+  const lines = [
+    '| ' + columns.map(escapeMarkdownCell).join(' | ') + ' |',
+    '| ' + columns.map(() => '---').join(' | ') + ' |'
+  ];
+  rows.forEach(row => {
+    lines.push('| ' + columns.map(column => escapeMarkdownCell(row[column])).join(' | ') + ' |');
+  });
+  return lines.join('\n') + '\n';
+}
+
+function htmlTable(rows) {
+  const columns = columnsOf(rows);
+  if (columns.length === 0) {
+    return '<p><em>No rows</em></p>';
+  }
+  const head = columns.map(column => `<th>${escapeHtml(column)}</th>`).join('');
+  const body = rows
+    .map(row => '<tr>' + columns.map(column => `<td>${escapeHtml(row[column])}</td>`).join('') + '</tr>')
+    .join('\n');
+  return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+function markdownReport(sheets, text, metadata, summary) {
+  const parts = [`# ${metadata.inputFilename || 'Processing result'}`, ''];
+  metadataEntries(metadata).forEach(([label, value]) => parts.push(`- **${label}:** ${value}`));
+  parts.push('');
+  if (text !== null) {
+    parts.push(text, '');
+  } else {
+    sheets.forEach(sheet => {
+      if (sheets.length > 1) {
+        parts.push(`## ${sheet.name}`, '');
+      }
+      parts.push(markdownTable(sheet.rows));
+    });
+  }
+  if (summary.length > 0) {
+    parts.push('## Summary', '');
+    summary.forEach(sheet => parts.push(`### ${sheet.name}`, '', markdownTable(sheet.rows)));
+  }
+  return parts.join('\n');
+}
+
+function htmlReport(sheets, text, metadata, summary) {
+  const title = escapeHtml(metadata.inputFilename || 'Processing result');
+  const meta = metadataEntries(metadata)
+    .map(([label, value]) => `<li><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</li>`)
+    .join('\n');
+  const content = text !== null
+    ? `<pre>${escapeHtml(text)}</pre>`
+    : sheets.map(sheet => (sheets.length > 1 ? `<h2>${escapeHtml(sheet.name)}</h2>\n` : '') + htmlTable(sheet.rows)).join('\n');
+  const summaryContent = summary.length > 0
+    ? '<h2>Summary</h2>\n' + summary.map(sheet => `<h3>${escapeHtml(sheet.name)}</h3>\n${htmlTable(sheet.rows)}`).join('\n')
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${title}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 32px; color: #1e293b; }
+table { border-collapse: collapse; font-size: 14px; }
+th, td { border: 1px solid #cbd5e1; padding: 6px 10px; text-align: left; vertical-align: top; }
+th { background: #f1f5f9; }
+h3 { margin-top: 24px; }
+pre { white-space: pre-wrap; font-family: inherit; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<ul>
+${meta}
+</ul>
+${content}
+${summaryContent}
+</body>
+</html>
+`;
+}
+
+// Excel sheet names are unique (case-insensitively) and at most 31 characters
+function uniqueSheetName(name, taken) {
+  const base = name.slice(0, 31);
+  let candidate = base;
+  for (let i = 2; taken.includes(candidate.toLowerCase()); i++) {
+    candidate = base.slice(0, 31 - ` (${i})`.length) + ` (${i})`;
+  }
+  taken.push(candidate.toLowerCase());
+  return candidate;
+}
+
+// Build the output file. `result` is either { sheets, summary } or { text }.
+// Returns { buffer, ext, contentType }.
+function writeOutput(result, format, options) {
+  const metadata = options.metadata || {};
+  const text = result.text !== undefined ? result.text : null;
+  const sheets = text !== null ? textToSheets(text) : result.sheets;
+  const summary = result.summary || [];
+  let content;
+
+  switch (format) {
+    case 'csv':
+      content = writeDelimited(flattenSheets(sheets), options.delimiter && options.delimiter !== '\t' ? options.delimiter : ',');
+      break;
+    case 'tsv':
+      content = writeDelimited(flattenSheets(sheets), '\t');
+      break;
+    case 'json':
+      content = JSON.stringify(text !== null
+        ? { metadata: metadata, result: text }
+        : Object.assign(
+          { metadata: metadata, sheets: sheets.map(sheet => ({ name: sheet.name, rows: sheet.rows })) },
+          summary.length > 0 ? { summary: summary.map(sheet => ({ name: sheet.name, rows: sheet.rows })) } : {}
+        ), null, 2);
+      break;
+    case 'jsonl':
+      content = (text !== null
+        ? JSON.stringify({ result: text })
+        : flattenSheets(sheets).map(row => JSON.stringify(row)).join('\n')) + '\n';
+      break;
+    case 'md':
+      content = markdownReport(sheets, text, metadata, summary);
+      break;
+    case 'html':
+      content = htmlReport(sheets, text, metadata, summary);
+      break;
+    case 'txt':
+      content = text !== null ? text : sheets.map(sheet => xlsx.utils.sheet_to_csv(xlsx.utils.json_to_sheet(sheet.rows))).join('\n\n');
+      break;
+    default: {
+      // One worksheet per sheet, then the summary sheets
+      const workbook = xlsx.utils.book_new();
+      workbook.Props = {
+        Title: metadata.inputFilename,
+        Comments: metadataEntries(metadata).map(([label, value]) => `${label}: ${value}`).join('\n')
+      };
+      const taken = [];
+      sheets.concat(summary).forEach(sheet => {
+        xlsx.utils.book_append_sheet(workbook, xlsx.utils.json_to_sheet(sheet.rows), uniqueSheetName(sheet.name, taken));
+      });
+      const buffer = xlsx.write(workbook, { bookType: 'xlsx', type: 'buffer' });
+      return { buffer: buffer, ext: OUTPUT_FORMATS.xlsx.ext, contentType: OUTPUT_FORMATS.xlsx.contentType };
+    }
+  }
+
+  return {
+    buffer: Buffer.from(content),
+    ext: OUTPUT_FORMATS[format].ext,
+    contentType: OUTPUT_FORMATS[format].contentType
+  };
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  resolveOutputFormat,
+  contentTypeFor,
+  writeOutput
+};
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeGenerationOptions } = require('./generationOptions');
+
+// Registry of processing types. Each file in the processors directory (.js
+// exporting an object, or .json) defines one type:
+//   id, name, description, icon, order  shown in the UI
+//   promptTemplate   prompt for a batch of spreadsheet rows ({{rows}}, {{customPrompt}});
+//                    without it a sheet is sent whole through the text template
+//   textTemplate     prompt for text input ({{text}}, {{customPrompt}}); without it
+//                    the text is sent as-is
+//   rowIds           number the rows of each batch in a "Row" column so the model
+//                    can echo it back (for sheets without a natural key)
+//   inputColumns     columns sent to the model (default: all)
+//   outputSchema     shape of each returned row (see lib/outputSchema.js); without
+//                    it the model's rows are written out as returned
+//   outputColumns    AI field -> column added to each source row
+//   compareFields    AI fields that model comparisons check for agreement
+//                    (default: all of outputColumns)
+//   evaluation       scoring against a labeled file: { fields, confusionMatrix,
+//                    precisionRecall } (see lib/evaluation.js)
+//   summary          summary sheets computed from the output rows (see lib/summary.js)
+//   dashboard        results view: { filters, charts, original, ai, editable } field lists
+//   generation       default model options: temperature, num_ctx, seed, format
+//                    (see lib/generationOptions.js); a request can override them
+//   requiresCustomPrompt
+// At least one of the two templates is required. Templates in JSON files may be
+// arrays of lines. They are the type's first prompt version; edited versions are
+// kept by lib/promptStore.js.
+
+const REQUIRED_FIELDS = ['id', 'name'];
+
+function joinLines(value) {
+  return Array.isArray(value) ? value.join('\n') : value;
+}
+
+function loadProcessor(filePath) {
+  const definition = path.extname(filePath) === '.json'
+    ? JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+    : require(path.resolve(filePath));
+
+  const missing = REQUIRED_FIELDS.filter(field => !definition[field]);
+  if (missing.length > 0) {
+    throw new Error(`${path.basename(filePath)} is missing ${missing.join(', ')}`);
+  }
+  if (!definition.promptTemplate && !definition.textTemplate) {
+    throw new Error(`${path.basename(filePath)} needs a promptTemplate or a textTemplate`);
+  }
+  if (definition.outputSchema && !definition.outputColumns) {
+    throw new Error(`${path.basename(filePath)} has an outputSchema but no outputColumns`);
+  }
+  const unknownCompareFields = (definition.compareFields || []).filter(field => !(definition.outputColumns || {})[field]);
+  if (unknownCompareFields.length > 0) {
+    throw new Error(`${path.basename(filePath)} compares fields that are not in outputColumns: ${unknownCompareFields.join(', ')}`);
+  }
+  if (definition.evaluation) {
+    const evaluation = definition.evaluation;
+    const scored = evaluation.fields || [];
+    if (scored.length === 0 || scored.some(field => !(definition.outputColumns || {})[field])) {
+      throw new Error(`${path.basename(filePath)} evaluation.fields must be fields of outputColumns`);
+    }
+    ['confusionMatrix', 'precisionRecall'].forEach(name => {
+      if (evaluation[name] && !scored.includes(evaluation[name])) {
+        throw new Error(`${path.basename(filePath)} evaluation.${name} must be one of evaluation.fields`);
+      }
+    });
+  }
+
+  const promptTemplate = joinLines(definition.promptTemplate) || null;
+  const textTemplate = joinLines(definition.textTemplate) || null;
+  let generation;
+  try {
+    generation = normalizeGenerationOptions(definition.generation);
+  } catch (error) {
+    throw new Error(`${path.basename(filePath)}: ${error.message}`);
+  }
+
+  return Object.assign({
+    description: '',
+    icon: 'edit',
+    order: 50,
+    inputColumns: null,
+    outputSchema: null,
+    outputColumns: null,
+    compareFields: null,
+    evaluation: null,
+    requiresCustomPrompt: false,
+    rowIds: false,
+    summary: null,
+    dashboard: null,
+    textTemplate: null
+  }, definition, {
+    promptTemplate: promptTemplate,
+    textTemplate: textTemplate,
+    generation: generation,
+    definitionFile: path.basename(filePath)
+  });
+}
+
+// Load every definition in `dir`; a broken file is logged and skipped
+function loadProcessors(dir) {
+  const registry = new Map();
+  fs.readdirSync(dir)
+    .filter(file => ['.js', '.json'].includes(path.extname(file)))
+    .sort()
+    .forEach(file => {
+      try {
+        const processor = loadProcessor(path.join(dir, file));
+        if (registry.has(processor.id)) {
+          throw new Error(`duplicate processing type "${processor.id}"`);
+        }
+        registry.set(processor.id, processor);
+      } catch (error) {
+        console.error(`Skipping processor ${file}:`, error.message);
+      }
+    });
+  return registry;
+}
+
+// Fill {{name}} placeholders; unknown placeholders are left as they are
+function renderTemplate(template, values) {
+  return template.replace(/{{\s*(\w+)\s*}}/g, (match, name) => (name in values ? values[name] : match));
+}
+
+// Source column a previous output's rows are matched on, or null when the type
+// cannot be run against a previous output. With rowIds the match key is the
+// batch-local Row number, which is in neither the source rows nor the output.
+function previousMatchKey(processor) {
+  if (!processor.outputSchema || !processor.outputSchema.matchKey || processor.rowIds) {
+    return null;
+  }
+  return processor.outputSchema.matchKey;
+}
+
+// What the UI needs to render a processing type card
+function describeProcessor(processor) {
+  return {
+    id: processor.id,
+    name: processor.name,
+    description: processor.description,
+    icon: processor.icon,
+    order: processor.order,
+    requiresCustomPrompt: processor.requiresCustomPrompt,
+    inputColumns: processor.inputColumns,
+    outputColumns: processor.outputColumns ? Object.values(processor.outputColumns) : null,
+    supportsText: Boolean(processor.textTemplate),
+    supportsRows: Boolean(processor.promptTemplate),
+    matchKey: previousMatchKey(processor),
+    evaluation: processor.evaluation,
+    generation: processor.generation
+  };
+}
+
+module.exports = {
+  loadProcessors,
+  renderTemplate,
+  describeProcessor,
+  previousMatchKey
+};
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Saved custom prompts for the Insight type, shared by everyone using the
+// server. Kept in one JSON file as { prompts: [entry] } with entries
+//   { id, name, prompt, tags, model, createdAt, updatedAt }
+// where `model` is the model to select when the prompt is loaded (null for the
+// default). Names are unique regardless of case: saving under a taken name
+// replaces that prompt. Exports use the same layout, so an exported file can be
+// imported on another server.
+
+const MAX_NAME_LENGTH = 100;
+const MAX_TAGS = 20;
+
+function findByName(prompts, name) {
+  const key = name.toLowerCase();
+  return prompts.find(entry => entry.name.toLowerCase() === key) || null;
+}
+
+// Check and tidy a prompt as sent by the page or found in an import. Tags may
+// be an array or a comma-separated string. Throws with a message for the user.
+function normalizePrompt(input) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('A saved prompt must be an object');
+  }
+  const name = typeof input.name === 'string' ? input.name.replace(/\s+/g, ' ').trim() : '';
+  if (!name) {
+    throw new Error('The prompt needs a name');
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    throw new Error(`The name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (typeof input.prompt !== 'string' || !input.prompt.trim()) {
+    throw new Error(`"${name}" has no prompt text`);
+  }
+  const rawTags = Array.isArray(input.tags) ? input.tags : String(input.tags || '').split(',');
+  const tags = [];
+  rawTags.map(tag => String(tag).trim().toLowerCase()).forEach(tag => {
+    if (tag && !tags.includes(tag)) {
+      tags.push(tag);
+    }
+  });
+  if (tags.length > MAX_TAGS) {
+    throw new Error(`A prompt can have at most ${MAX_TAGS} tags`);
+  }
+  return {
+    name: name,
+    prompt: input.prompt,
+    tags: tags,
+    model: typeof input.model === 'string' && input.model.trim() ? input.model.trim() : null
+  };
+}
+
+class PromptLibrary {
+  constructor(storePath) {
+    this.storePath = storePath;
+    this.prompts = [];
+    if (fs.existsSync(storePath)) {
+      try {
+        this.prompts = JSON.parse(fs.readFileSync(storePath, 'utf-8')).prompts || [];
+      } catch (error) {
+        console.error('Failed to load the prompt library:', error.message);
+      }
+    }
+  }
+
+  // Sorted by name. `query` matches names, tags and prompt text; `tag` keeps
+  // prompts with that tag.
+  list(query, tag) {
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const wantedTag = String(tag || '').trim().toLowerCase();
+    return this.prompts
+      .filter(entry => !wantedTag || entry.tags.includes(wantedTag))
+      .filter(entry => {
+        const text = `${entry.name} ${entry.tags.join(' ')} ${entry.prompt}`.toLowerCase();
+        return words.every(word => text.includes(word));
+      })
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  get(id) {
+    return this.prompts.find(entry => entry.id === id) || null;
+  }
+
+  // Add a prompt, or replace the one with the same name. Returns
+  // { prompt, created }.
+  save(input) {
+    const result = this.upsert(normalizePrompt(input), new Date().toISOString());
+    this.persist();
+    return result;
+  }
+
+  // Returns the removed prompt, or null if there was none
+  remove(id) {
+    const entry = this.get(id);
+    if (!entry) {
+      return null;
+    }
+    this.prompts = this.prompts.filter(item => item.id !== id);
+    this.persist();
+    return entry;
+  }
+
+  // Merge an exported library (or a plain array of prompts) by name. Every
+  // prompt is checked before any is saved. Returns { added, updated }.
+  import(data) {
+    const entries = Array.isArray(data) ? data : data && data.prompts;
+    if (!Array.isArray(entries)) {
+      throw new Error('The file is not a prompt library export');
+    }
+    const prompts = entries.map(normalizePrompt);
+    const now = new Date().toISOString();
+    const counts = { added: 0, updated: 0 };
+    prompts.forEach(prompt => {
+      counts[this.upsert(prompt, now).created ? 'added' : 'updated']++;
+    });
+    this.persist();
+    return counts;
+  }
+
+  export() {
+    return {
+      exportedAt: new Date().toISOString(),
+      prompts: this.list().map(entry => ({
+        name: entry.name,
+        prompt: entry.prompt,
+        tags: entry.tags,
+        model: entry.model
+      }))
+    };
+  }
+
+  upsert(prompt, now) {
+    const existing = findByName(this.prompts, prompt.name);
+    if (existing) {
+      Object.assign(existing, prompt, { updatedAt: now });
+      return { prompt: existing, created: false };
+    }
+    const entry = Object.assign({ id: crypto.randomUUID() }, prompt, { createdAt: now, updatedAt: now });
+    this.prompts.push(entry);
+    return { prompt: entry, created: true };
+  }
+
+  persist() {
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    fs.writeFileSync(this.storePath, JSON.stringify({ prompts: this.prompts }, null, 2));
+  }
+}
+
+module.exports = PromptLibrary;
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Versions of each processing type's prompt templates, one JSON file per
+// version in <dir>/<processing type>/<version>.json:
+//   { version, processingType, promptTemplate, textTemplate, hash, note, source, basedOn, createdAt }
+// Versions are numbered v1, v2, ... per type and never change once saved;
+// editing a prompt saves the next version. The templates of a type's definition
+// file are recorded as a version too (source "processors/<file>"), so every run
+// can be traced to the exact prompt it used. Runs use the latest version unless
+// they ask for another.
+
+// Placeholders each template can use; the first one is required
+const PLACEHOLDERS = {
+  promptTemplate: ['rows', 'customPrompt'],
+  textTemplate: ['text', 'customPrompt']
+};
+const TEMPLATE_LABELS = { promptTemplate: 'row prompt', textTemplate: 'text prompt' };
+
+function templateHash(templates) {
+  return crypto.createHash('sha1')
+    .update(`${templates.promptTemplate || ''}\0${templates.textTemplate || ''}`)
+    .digest('hex')
+    .slice(0, 8);
+}
+
+function versionNumber(version) {
+  return Number(String(version).slice(1));
+}
+
+// Check edited templates against the ones the type has: the same templates, each
+// with its required placeholder and no unknown ones. Throws with a message for
+// the editor.
+function checkTemplates(templates, kinds) {
+  Object.keys(PLACEHOLDERS).forEach(kind => {
+    const label = TEMPLATE_LABELS[kind];
+    const value = templates[kind];
+    if (!kinds.includes(kind)) {
+      if (value) {
+        throw new Error(`This processing type has no ${label}`);
+      }
+      return;
+    }
+    if (typeof value !== 'string' || !value.trim()) {
+      throw new Error(`The ${label} must not be empty`);
+    }
+    const allowed = PLACEHOLDERS[kind];
+    const used = Array.from(value.matchAll(/{{\s*(\w+)\s*}}/g), match => match[1]);
+    const unknown = used.filter(name => !allowed.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown placeholder {{${unknown[0]}}} in the ${label}; use ${allowed.map(name => `{{${name}}}`).join(' or ')}`);
+    }
+    if (!used.includes(allowed[0])) {
+      throw new Error(`The ${label} must contain {{${allowed[0]}}}`);
+    }
+  });
+}
+
+class PromptStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.versions = new Map();
+  }
+
+  // Oldest first, read from disk once per type
+  list(processingType) {
+    if (!this.versions.has(processingType)) {
+      const typeDir = path.join(this.dir, processingType);
+      const versions = fs.existsSync(typeDir)
+        ? fs.readdirSync(typeDir)
+          .filter(file => /^v\d+\.json$/.test(file))
+          .map(file => {
+            try {
+              return JSON.parse(fs.readFileSync(path.join(typeDir, file), 'utf-8'));
+            } catch (error) {
+              console.error(`Skipping unreadable prompt version ${processingType}/${file}:`, error.message);
+              return null;
+            }
+          })
+          .filter(Boolean)
+          .sort((a, b) => versionNumber(a.version) - versionNumber(b.version))
+        : [];
+      this.versions.set(processingType, versions);
+    }
+    return this.versions.get(processingType);
+  }
+
+  get(processingType, version) {
+    return this.list(processingType).find(item => item.version === version) || null;
+  }
+
+  latest(processingType) {
+    const versions = this.list(processingType);
+    return versions.length > 0 ? versions[versions.length - 1] : null;
+  }
+
+  // The version holding a definition file's templates, saved as the next
+  // version when none has them yet
+  record(processingType, templates, source) {
+    const hash = templateHash(templates);
+    return this.list(processingType).find(item => item.hash === hash) ||
+      this.add(processingType, templates, { source: source, note: 'From the processing type definition' });
+  }
+
+  // Save edited templates as the next version. Throws when they are the same as
+  // an existing version.
+  save(processingType, templates, details) {
+    const existing = this.list(processingType).find(item => item.hash === templateHash(templates));
+    if (existing) {
+      throw new Error(`No changes: the templates are the same as ${existing.version}`);
+    }
+    return this.add(processingType, templates, Object.assign({ source: 'editor' }, details));
+  }
+
+  add(processingType, templates, details) {
+    const latest = this.latest(processingType);
+    const entry = {
+      version: `v${latest ? versionNumber(latest.version) + 1 : 1}`,
+      processingType: processingType,
+      promptTemplate: templates.promptTemplate || null,
+      textTemplate: templates.textTemplate || null,
+      hash: templateHash(templates),
+      note: details.note ? String(details.note).trim() : '',
+      source: details.source,
+      basedOn: details.basedOn || null,
+      createdAt: new Date().toISOString()
+    };
+    const typeDir = path.join(this.dir, processingType);
+    fs.mkdirSync(typeDir, { recursive: true });
+    fs.writeFileSync(path.join(typeDir, `${entry.version}.json`), JSON.stringify(entry, null, 2));
+    this.list(processingType).push(entry);
+    return entry;
+  }
+}
+
+module.exports = {
+  PromptStore,
+  checkTemplates
+};
@@ -0,0 +1,346 @@
+const http = require('http');
+const https = require('https');
+const { toOllamaFields } = require('./generationOptions');
+
+// Model backends. Each configured endpoint is one provider:
+//   ollama       Ollama's /api/generate
+//   ollama-chat  Ollama's /api/chat
+//   openai       an OpenAI-compatible server (llama.cpp server, vLLM, ...) via
+//                /v1/chat/completions
+// A provider streams generated text, lists its models and reports whether it is
+// reachable. Models are referred to as "<provider id>/<model>", except those of
+// the first provider, which keep their plain names.
+
+const PROVIDER_TYPES = ['ollama', 'ollama-chat', 'openai'];
+const STATUS_TIMEOUT_MS = 5000;
+
+function httpModule(url) {
+  return url.protocol === 'https:' ? https : http;
+}
+
+// GET a JSON document; rejects on network errors, non-200 answers and timeouts
+function getJson(url, headers) {
+  return new Promise((resolve, reject) => {
+    const req = httpModule(url).request(url, { method: 'GET', headers: headers }, (res) => {
+      res.setEncoding('utf8');
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          return reject(new Error(`HTTP ${res.statusCode}`));
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch (error) {
+          reject(new Error('Response is not valid JSON'));
+        }
+      });
+    });
+    req.on('error', reject);
+    req.setTimeout(STATUS_TIMEOUT_MS, () => req.destroy(new Error('Timeout')));
+    req.end();
+  });
+}
+
+class Provider {
+  // `definition` is { id, type, url, apiKey }; `timeouts` is { requestTimeoutMs, idleTimeoutMs }
+  constructor(definition, timeouts) {
+    this.id = definition.id;
+    this.type = definition.type;
+    this.url = definition.url;
+    this.apiKey = definition.apiKey || null;
+    this.timeouts = timeouts;
+  }
+
+  endpoint(pathname) {
+    return new URL(this.url + pathname);
+  }
+
+  headers() {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+
+  // Stream a generation, yielding text as it arrives. The request is aborted
+  // when the first text takes longer than the request timeout, or when no text
+  // arrives within the idle timeout after that.
+  async* generate(prompt, model, generation) {
+    const data = JSON.stringify(this.requestBody(prompt, model, generation || {}));
+    const url = this.endpoint(this.generatePath);
+    const req = httpModule(url).request(url, {
+      method: 'POST',
+      headers: Object.assign({
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(data)
+      }, this.headers())
+    });
+
+    let timer = null;
+    let timeoutError = null;
+    const armTimeout = (ms, message) => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timeoutError = new Error(message);
+        req.destroy(timeoutError);
+      }, ms);
+    };
+
+    try {
+      armTimeout(this.timeouts.requestTimeoutMs, `${this.id} did not start responding in time`);
+      const res = await new Promise((resolve, reject) => {
+        req.on('response', resolve);
+        req.on('error', (error) => reject(new Error(`Failed to connect to ${this.id}: ${error.message}`)));
+        req.write(data);
+        req.end();
+      });
+      // Decode across chunks, so a character split between two chunks survives
+      res.setEncoding('utf8');
+
+      if (res.statusCode !== 200) {
+        let body = '';
+        for await (const chunk of res) {
+          body += chunk;
+        }
+        throw new Error(`${this.id} returned HTTP ${res.statusCode}: ${this.errorMessage(body)}`);
+      }
+
+      let buffer = '';
+      let receivedText = false;
+      for await (const chunk of res) {
+        buffer += chunk;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          if (!line.trim()) {
+            continue;
+          }
+          const parsed = this.parseLine(line.trim());
+          if (parsed.text) {
+            receivedText = true;
+            yield parsed.text;
+          }
+          if (parsed.done) {
+            return;
+          }
+        }
+
+        if (receivedText) {
+          armTimeout(this.timeouts.idleTimeoutMs, `${this.id} stopped producing tokens for ${this.timeouts.idleTimeoutMs / 1000}s`);
+        }
+      }
+    } catch (error) {
+      // Destroying the request surfaces as a generic socket error; report the timeout instead
+      throw timeoutError || error;
+    } finally {
+      clearTimeout(timer);
+      // Stops generation on the server side when the consumer stops early
+      req.destroy();
+    }
+  }
+
+  // The `error` field of a JSON error body, else the body as it is
+  errorMessage(body) {
+    try {
+      const error = JSON.parse(body).error;
+      return (error && error.message) || error || body;
+    } catch (err) {
+      return body;
+    }
+  }
+
+  async health() {
+    try {
+      await getJson(this.endpoint(this.healthPath), this.headers());
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+// Ollama streams newline-delimited JSON objects
+function parseOllamaLine(line, textOf) {
+  let parsed;
+  try {
+    parsed = JSON.parse(line);
+  } catch (err) {
+    throw new Error('Failed to parse Ollama response: ' + err.message);
+  }
+  if (parsed.error) {
+    throw new Error('Ollama error: ' + parsed.error);
+  }
+  return { text: textOf(parsed), done: Boolean(parsed.done) };
+}
+
+class OllamaGenerateProvider extends Provider {
+  get generatePath() {
+    return '/api/generate';
+  }
+
+  get healthPath() {
+    return '/api/tags';
+  }
+
+  requestBody(prompt, model, generation) {
+    return Object.assign({ model: model, prompt: prompt, stream: true }, toOllamaFields(generation));
+  }
+
+  parseLine(line) {
+    return parseOllamaLine(line, parsed => parsed.response);
+  }
+
+  async listModels() {
+    const json = await getJson(this.endpoint('/api/tags'), this.headers());
+    return json.models ? json.models.map(m => m.name) : [];
+  }
+}
+
+class OllamaChatProvider extends OllamaGenerateProvider {
+  get generatePath() {
+    return '/api/chat';
+  }
+
+  requestBody(prompt, model, generation) {
+    return Object.assign({
+      model: model,
+      messages: [{ role: 'user', content: prompt }],
+      stream: true
+    }, toOllamaFields(generation));
+  }
+
+  parseLine(line) {
+    return parseOllamaLine(line, parsed => parsed.message && parsed.message.content);
+  }
+}
+
+// OpenAI-compatible servers stream server-sent events ("data: {...}", ending
+// with "data: [DONE]"). They have no context size option: num_ctx is set when
+// the server is started.
+class OpenAiProvider extends Provider {
+  get generatePath() {
+    return '/v1/chat/completions';
+  }
+
+  get healthPath() {
+    return '/v1/models';
+  }
+
+  requestBody(prompt, model, generation) {
+    const body = {
+      model: model,
+      messages: [{ role: 'user', content: prompt }],
+      stream: true
+    };
+    if (generation.temperature !== undefined) {
+      body.temperature = generation.temperature;
+    }
+    if (generation.seed !== undefined) {
+      body.seed = generation.seed;
+    }
+    if (generation.format === 'json') {
+      body.response_format = { type: 'json_object' };
+    }
+    return body;
+  }
+
+  parseLine(line) {
+    if (!line.startsWith('data:')) {
+      return {};
+    }
+    const data = line.slice(5).trim();
+    if (data === '[DONE]') {
+      return { done: true };
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch (err) {
+      throw new Error(`Failed to parse ${this.id} response: ${err.message}`);
+    }
+    if (parsed.error) {
+      throw new Error(`${this.id} error: ${parsed.error.message || parsed.error}`);
+    }
+    const choice = parsed.choices && parsed.choices[0];
+    return {
+      text: choice && choice.delta ? choice.delta.content : null,
+      done: Boolean(choice && choice.finish_reason)
+    };
+  }
+
+  async listModels() {
+    const json = await getJson(this.endpoint('/v1/models'), this.headers());
+    return json.data ? json.data.map(m => m.id) : [];
+  }
+}
+
+const PROVIDER_CLASSES = {
+  ollama: OllamaGenerateProvider,
+  'ollama-chat': OllamaChatProvider,
+  openai: OpenAiProvider
+};
+
+// Every configured endpoint, and the lookup from a model reference to the
+// provider and model name it stands for
+class ProviderRegistry {
+  constructor(definitions, timeouts) {
+    this.providers = definitions.map(definition => new PROVIDER_CLASSES[definition.type](definition, timeouts));
+  }
+
+  get defaultProvider() {
+    return this.providers[0];
+  }
+
+  // "<provider id>/<model>" for any provider but the first
+  modelReference(provider, model) {
+    return provider === this.defaultProvider ? model : `${provider.id}/${model}`;
+  }
+
+  // { provider, model } for a model reference; names without a known provider
+  // prefix belong to the first provider
+  resolve(reference) {
+    const slash = reference.indexOf('/');
+    if (slash > 0) {
+      const provider = this.providers.find(item => item.id === reference.slice(0, slash));
+      if (provider) {
+        return { provider: provider, model: reference.slice(slash + 1) };
+      }
+    }
+    return { provider: this.defaultProvider, model: reference };
+  }
+
+  generate(prompt, reference, generation) {
+    const { provider, model } = this.resolve(reference);
+    return provider.generate(prompt, model, generation);
+  }
+
+  // Models of every provider, asked in parallel; a provider that cannot be
+  // reached is reported with its error and no models
+  async listModels() {
+    return Promise.all(this.providers.map(async provider => {
+      try {
+        const models = await provider.listModels();
+        return {
+          id: provider.id,
+          type: provider.type,
+          connected: true,
+          models: models.map(model => this.modelReference(provider, model))
+        };
+      } catch (error) {
+        return { id: provider.id, type: provider.type, connected: false, models: [], error: error.message };
+      }
+    }));
+  }
+
+  async health() {
+    return Promise.all(this.providers.map(async provider => ({
+      id: provider.id,
+      type: provider.type,
+      connected: await provider.health()
+    })));
+  }
+}
+
+module.exports = {
+  PROVIDER_TYPES,
+  ProviderRegistry
+};
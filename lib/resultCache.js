@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { normalizeValue } = require('./tabular');
+
+// Validated AI output per input row, persisted to a JSON file. An entry is keyed
+// by a hash of the row as sent to the model plus everything else that shapes
+// the answer (processing type, prompt version, custom prompt, model and its
+// generation options), so a row seen again in a later upload is not sent to
+// the model twice.
+class ResultCache {
+  constructor(storePath) {
+    this.storePath = storePath;
+    this.entries = {};
+    if (fs.existsSync(storePath)) {
+      try {
+        this.entries = JSON.parse(fs.readFileSync(storePath, 'utf-8'));
+      } catch (error) {
+        console.error('Failed to load result cache:', error.message);
+      }
+    }
+  }
+
+  get(key) {
+    const entry = this.entries[key];
+    return entry ? entry.row : null;
+  }
+
+  // Entries are collected with set() and written together with save()
+  set(key, row) {
+    this.entries[key] = { row: row, cachedAt: new Date().toISOString() };
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    fs.writeFileSync(this.storePath, JSON.stringify(this.entries));
+  }
+
+  size() {
+    return Object.keys(this.entries).length;
+  }
+
+  // Returns the number of entries removed
+  purge() {
+    const removed = this.size();
+    this.entries = {};
+    this.save();
+    return removed;
+  }
+}
+
+// Values are normalized first, so re-exports that only differ in spacing still
+// hit the cache
+function rowCacheKey(row, context) {
+  const normalized = Object.keys(row).sort().map(column => [column, normalizeValue(row[column])]);
+  return crypto.createHash('sha1')
+    .update(JSON.stringify([
+      context.processingType,
+      context.promptHash,
+      context.customPrompt || '',
+      context.model,
+      Object.keys(context.generation || {}).sort().map(name => [name, context.generation[name]]),
+      normalized
+    ]))
+    .digest('hex');
+}
+
+module.exports = {
+  ResultCache,
+  rowCacheKey
+};
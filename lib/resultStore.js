@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+
+// Processed rows of finished jobs, one JSON file per job, so the results view
+// can show them without re-reading the output file
+class ResultStore {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  filePath(id) {
+    return path.join(this.dir, `${path.basename(id)}.json`);
+  }
+
+  save(id, result) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.filePath(id), JSON.stringify(result));
+  }
+
+  get(id) {
+    const filePath = this.filePath(id);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      console.error(`Failed to read results of job ${id}:`, error.message);
+      return null;
+    }
+  }
+
+  // Merge `fields` into a job's stored result; returns null if there is none
+  update(id, fields) {
+    const result = this.get(id);
+    if (!result) {
+      return null;
+    }
+    Object.assign(result, fields);
+    this.save(id, result);
+    return result;
+  }
+
+  remove(id) {
+    const filePath = this.filePath(id);
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+}
+
+module.exports = ResultStore;
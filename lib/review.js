@@ -0,0 +1,53 @@
+// Reviewer corrections of processed rows. Overrides are kept with a job's
+// results as
+//   { "<sheet>": { "<row index>": { fields: { column: value }, accepted, reviewedAt } } }
+// and applied when the reviewed output is exported.
+
+const HUMAN_EDITED_COLUMN = 'Human Edited';
+const ACCEPTED = 'Accepted';
+
+// Return `overrides` with one row's override replaced; an override with no
+// edited fields that is not accepted either is dropped
+function setOverride(overrides, sheet, index, override) {
+  const next = Object.assign({}, overrides);
+  const rows = Object.assign({}, next[sheet]);
+  if (Object.keys(override.fields).length === 0 && !override.accepted) {
+    delete rows[index];
+  } else {
+    rows[index] = Object.assign({}, override, { reviewedAt: new Date().toISOString() });
+  }
+  if (Object.keys(rows).length === 0) {
+    delete next[sheet];
+  } else {
+    next[sheet] = rows;
+  }
+  return next;
+}
+
+function getOverride(overrides, sheet, index) {
+  return (overrides && overrides[sheet] && overrides[sheet][index]) || null;
+}
+
+// Sheets with the corrections applied and a column listing the fields a person
+// changed on each row ("Accepted" when the AI values were confirmed as they are)
+function applyOverrides(sheets, overrides) {
+  return sheets.map(sheet => ({
+    name: sheet.name,
+    rows: sheet.rows.map((row, index) => {
+      const override = getOverride(overrides, sheet.name, index);
+      const edited = override ? Object.keys(override.fields) : [];
+      const marker = edited.length > 0 ? edited.join(', ') : (override && override.accepted ? ACCEPTED : '');
+      // Rows carried over from an earlier reviewed output keep their marker
+      return Object.assign({}, row, override ? override.fields : {}, {
+        [HUMAN_EDITED_COLUMN]: marker || row[HUMAN_EDITED_COLUMN] || ''
+      });
+    })
+  }));
+}
+
+module.exports = {
+  HUMAN_EDITED_COLUMN,
+  setOverride,
+  getOverride,
+  applyOverrides
+};
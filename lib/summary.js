@@ -0,0 +1,144 @@
+const { AI_STATUS_COLUMN, AI_STATUS } = require('./outputSchema');
+
+// Summary tables computed from the processed rows on the server, never by the
+// model. A processing type asks for them with a `summary` definition:
+//   {
+//     pivot:  { name, rows, columns }         row count per pair of values
+//     counts: [{ name, column }]              row count per value
+//     top:    { name, column, limit }         most frequent values
+//     list:   { name, column, value, columns } rows with one value
+//   }
+// Column names are processing type fields; `columnFor` turns a field into the
+// output column that holds it (an AI output column or a mapped source column).
+// Only rows the model processed successfully are counted.
+
+const BLANK = '(blank)';
+const DEFAULT_TOP_LIMIT = 20;
+
+function cellValue(row, column) {
+  const value = row[column];
+  return value === undefined || value === null || String(value).trim() === '' ? BLANK : String(value).trim();
+}
+
+// Values sorted by count, most frequent first; ties keep first-seen order
+function countValues(rows, column) {
+  const counts = new Map();
+  rows.forEach(row => {
+    const value = cellValue(row, column);
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  return Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+}
+
+// Known values (e.g. a Severity enum) first, in their own order, then the rest
+function orderValues(values, order) {
+  const known = (order || []).filter(value => values.includes(value));
+  return known.concat(values.filter(value => !known.includes(value)));
+}
+
+function pivotSheet(rows, spec, columnFor, enums) {
+  const rowColumn = columnFor(spec.rows);
+  const pivotColumn = columnFor(spec.columns);
+  const columnValues = orderValues(countValues(rows, pivotColumn).map(([value]) => value), enums[spec.columns]);
+
+  const table = countValues(rows, rowColumn).map(([value, total]) => {
+    const line = { [spec.rows]: value };
+    columnValues.forEach(columnValue => {
+      line[columnValue] = rows.filter(row => cellValue(row, rowColumn) === value && cellValue(row, pivotColumn) === columnValue).length;
+    });
+    line.Total = total;
+    return line;
+  });
+
+  const totals = { [spec.rows]: 'Total' };
+  columnValues.forEach(columnValue => {
+    totals[columnValue] = rows.filter(row => cellValue(row, pivotColumn) === columnValue).length;
+  });
+  totals.Total = rows.length;
+  table.push(totals);
+
+  return { name: spec.name || `${spec.rows} x ${spec.columns}`, rows: table };
+}
+
+function countSheet(rows, spec, columnFor) {
+  const column = columnFor(spec.column);
+  return {
+    name: spec.name || `By ${spec.column}`,
+    rows: countValues(rows, column).map(([value, count]) => ({
+      [spec.column]: value,
+      Count: count,
+      Share: rows.length ? Math.round(count / rows.length * 1000) / 10 + '%' : ''
+    }))
+  };
+}
+
+// Recurring values are grouped case- and punctuation-insensitively and shown
+// in the wording seen first
+function topSheet(rows, spec, columnFor) {
+  const column = columnFor(spec.column);
+  const groups = new Map();
+  rows.forEach(row => {
+    const value = cellValue(row, column);
+    if (value === BLANK) {
+      return;
+    }
+    const key = value.toLowerCase().replace(/[\s.,;:!?]+/g, ' ').trim();
+    const group = groups.get(key) || { value: value, count: 0 };
+    group.count++;
+    groups.set(key, group);
+  });
+
+  const top = Array.from(groups.values())
+    .sort((a, b) => b.count - a.count)
+    .slice(0, spec.limit || DEFAULT_TOP_LIMIT);
+  return {
+    name: spec.name || `Top ${spec.column}`,
+    rows: top.map((group, i) => ({ Rank: i + 1, [spec.column]: group.value, Count: group.count }))
+  };
+}
+
+function listSheet(taggedRows, spec, columnFor, multiSheet) {
+  const column = columnFor(spec.column);
+  const fields = spec.columns || [];
+  return {
+    name: spec.name || `${spec.value} Items`,
+    rows: taggedRows
+      .filter(({ row }) => cellValue(row, column) === spec.value)
+      .map(({ sheet, row }) => {
+        const line = multiSheet ? { Sheet: sheet } : {};
+        fields.forEach(field => {
+          line[field] = row[columnFor(field)] !== undefined ? row[columnFor(field)] : '';
+        });
+        return fields.length > 0 ? line : Object.assign(line, row);
+      })
+  };
+}
+
+// Build the summary sheets for processed `sheets` ({ name, rows }).
+// `enums` gives the preferred order of pivot column values.
+function buildSummarySheets(sheets, spec, columnFor, enums) {
+  const taggedRows = [];
+  sheets.forEach(sheet => {
+    sheet.rows
+      .filter(row => row[AI_STATUS_COLUMN] === undefined || row[AI_STATUS_COLUMN] === AI_STATUS.ok)
+      .forEach(row => taggedRows.push({ sheet: sheet.name, row: row }));
+  });
+  const rows = taggedRows.map(tagged => tagged.row);
+
+  const summary = [];
+  if (spec.pivot) {
+    summary.push(pivotSheet(rows, spec.pivot, columnFor, enums || {}));
+  }
+  (spec.counts || []).forEach(counts => summary.push(countSheet(rows, counts, columnFor)));
+  if (spec.top) {
+    summary.push(topSheet(rows, spec.top, columnFor));
+  }
+  if (spec.list) {
+    summary.push(listSheet(taggedRows, spec.list, columnFor, sheets.length > 1));
+  }
+  return summary;
+}
+
+module.exports = {
+  buildSummarySheets
+};
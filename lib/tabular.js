@@ -0,0 +1,289 @@
+const fs = require('fs');
+
+// Reading and writing of row-structured text files: CSV, TSV, JSON (an array
+// of objects) and JSON Lines. Rows come back in the same shape as
+// xlsx.utils.sheet_to_json(sheet, { defval: '' }).
+
+const TABULAR_EXTENSIONS = ['.csv', '.tsv', '.json', '.jsonl'];
+const DELIMITERS = [',', '\t', ';', '|'];
+
+// Legacy encodings tried, in order, when a file is not valid UTF-8
+const LEGACY_ENCODINGS = ['shift_jis', 'euc-kr'];
+
+function decodeStrict(buffer, encoding) {
+  try {
+    return new TextDecoder(encoding, { fatal: true }).decode(buffer);
+  } catch (error) {
+    return null;
+  }
+}
+
+// UTF-16 without a BOM shows up as a zero byte in every other position
+function guessUtf16(buffer) {
+  const sample = buffer.subarray(0, Math.min(buffer.length, 4096));
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) {
+      if (i % 2 === 0) {
+        evenZeros++;
+      } else {
+        oddZeros++;
+      }
+    }
+  }
+  const half = sample.length / 2;
+  if (oddZeros > half * 0.3 && evenZeros < half * 0.05) {
+    return 'utf-16le';
+  }
+  if (evenZeros > half * 0.3 && oddZeros < half * 0.05) {
+    return 'utf-16be';
+  }
+  return null;
+}
+
+// Count characters typical of each candidate so a byte sequence that happens to
+// be valid in both Shift-JIS and EUC-KR goes to the likelier one
+function scriptScore(text, encoding) {
+  const pattern = encoding === 'euc-kr' ? /[\uac00-\ud7a3]/g : /[\u3040-\u30ff\u4e00-\u9fff]/g;
+  return (text.match(pattern) || []).length - (text.match(/[\ufffd\u0080-\u009f]/g) || []).length * 10;
+}
+
+// Decode a text file, detecting BOMs, UTF-16, UTF-8 and the Shift-JIS / EUC-KR
+// exports common in VOC data. Returns { text, encoding }.
+function decodeText(buffer) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return { text: buffer.subarray(3).toString('utf-8'), encoding: 'utf-8' };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return { text: new TextDecoder('utf-16le').decode(buffer.subarray(2)), encoding: 'utf-16le' };
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return { text: new TextDecoder('utf-16be').decode(buffer.subarray(2)), encoding: 'utf-16be' };
+  }
+
+  const utf16 = guessUtf16(buffer);
+  if (utf16) {
+    return { text: new TextDecoder(utf16).decode(buffer), encoding: utf16 };
+  }
+
+  const utf8 = decodeStrict(buffer, 'utf-8');
+  if (utf8 !== null) {
+    return { text: utf8, encoding: 'utf-8' };
+  }
+
+  const candidates = LEGACY_ENCODINGS
+    .map(encoding => ({ encoding: encoding, text: decodeStrict(buffer, encoding) }))
+    .filter(candidate => candidate.text !== null)
+    .sort((a, b) => scriptScore(b.text, b.encoding) - scriptScore(a.text, a.encoding));
+  if (candidates.length > 0) {
+    return { text: candidates[0].text, encoding: candidates[0].encoding };
+  }
+  return { text: buffer.toString('latin1'), encoding: 'latin1' };
+}
+
+// Split delimited text into records, honouring quoted fields with embedded
+// delimiters, quotes ("") and line breaks
+function parseDelimited(text, delimiter) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records.filter(r => r.length > 1 || r[0] !== '');
+}
+
+// Pick the delimiter that splits the first lines into the same number of fields
+function detectDelimiter(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 10);
+  let best = ',';
+  let bestScore = 0;
+  DELIMITERS.forEach(delimiter => {
+    const counts = parseDelimited(lines.join('\n'), delimiter).map(record => record.length);
+    if (counts.length === 0 || counts[0] < 2) {
+      return;
+    }
+    const consistent = counts.filter(count => count === counts[0]).length;
+    const score = consistent * 100 + counts[0];
+    if (score > bestScore) {
+      best = delimiter;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+function recordsToRows(records) {
+  if (records.length === 0) {
+    return [];
+  }
+  const headers = records[0].map(header => header.trim());
+  return records.slice(1).map(record => {
+    const row = {};
+    headers.forEach((header, i) => {
+      row[header] = record[i] !== undefined ? record[i] : '';
+    });
+    return row;
+  });
+}
+
+// Give every row every column, in first-seen order, like sheet_to_json with defval
+function normalizeObjects(objects) {
+  const columns = [];
+  objects.forEach(object => {
+    Object.keys(object).forEach(key => {
+      if (!columns.includes(key)) {
+        columns.push(key);
+      }
+    });
+  });
+  return objects.map(object => {
+    const row = {};
+    columns.forEach(column => {
+      const value = object[column];
+      row[column] = value === undefined || value === null
+        ? ''
+        : (typeof value === 'object' ? JSON.stringify(value) : value);
+    });
+    return row;
+  });
+}
+
+function isObjectArray(value) {
+  return Array.isArray(value) && value.every(item => item && typeof item === 'object' && !Array.isArray(item));
+}
+
+// Parse a tabular file from a buffer. Returns { format, rows, encoding, delimiter }.
+// Throws if a .json file is not an array of objects.
+function parseTable(buffer, ext) {
+  const { text, encoding } = decodeText(buffer);
+
+  if (ext === '.json') {
+    const parsed = JSON.parse(text);
+    if (!isObjectArray(parsed)) {
+      throw new Error('JSON input must be an array of objects');
+    }
+    return { format: 'json', rows: normalizeObjects(parsed), encoding: encoding, delimiter: null };
+  }
+
+  if (ext === '.jsonl') {
+    const objects = text.split(/\r?\n/)
+      .filter(line => line.trim())
+      .map((line, i) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          throw new Error(`Line ${i + 1} is not valid JSON: ${error.message}`);
+        }
+      });
+    if (!isObjectArray(objects)) {
+      throw new Error('Every JSON Lines record must be an object');
+    }
+    return { format: 'jsonl', rows: normalizeObjects(objects), encoding: encoding, delimiter: null };
+  }
+
+  const delimiter = ext === '.tsv' ? '\t' : detectDelimiter(text);
+  return {
+    format: ext === '.tsv' ? 'tsv' : 'csv',
+    rows: recordsToRows(parseDelimited(text, delimiter)),
+    encoding: encoding,
+    delimiter: delimiter
+  };
+}
+
+function readTable(filePath, ext) {
+  return parseTable(fs.readFileSync(filePath), ext);
+}
+
+// A .json file only counts as a table when it holds an array of objects
+function isTableFile(filePath, ext) {
+  if (ext !== '.json') {
+    return TABULAR_EXTENSIONS.includes(ext);
+  }
+  try {
+    return isObjectArray(JSON.parse(decodeText(fs.readFileSync(filePath)).text));
+  } catch (error) {
+    return false;
+  }
+}
+
+function escapeField(value, delimiter) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// A cell value as trimmed text with runs of whitespace collapsed, so values
+// that only differ in spacing (e.g. after a re-export) compare equal
+function normalizeValue(value) {
+  return value === undefined || value === null ? '' : String(value).replace(/\s+/g, ' ').trim();
+}
+
+// Collect column names across rows in first-seen order
+function columnsOf(rows) {
+  const columns = [];
+  rows.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!columns.includes(key)) {
+        columns.push(key);
+      }
+    });
+  });
+  return columns;
+}
+
+// Delimited text with a UTF-8 BOM so Excel opens non-ASCII text correctly
+function writeDelimited(rows, delimiter) {
+  const columns = columnsOf(rows);
+  const lines = [columns.map(column => escapeField(column, delimiter)).join(delimiter)];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeField(row[column], delimiter)).join(delimiter));
+  });
+  return '\ufeff' + lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  TABULAR_EXTENSIONS,
+  decodeText,
+  parseDelimited,
+  detectDelimiter,
+  parseTable,
+  readTable,
+  isTableFile,
+  normalizeValue,
+  columnsOf,
+  writeDelimited
+};
@@ -0,0 +1,178 @@
+// Customer VOC: clean up customer feedback rows and classify module and severity
+module.exports = {
+  id: 'voc',
+  name: 'Customer VOC',
+  description: 'Analyze customer feedback',
+  icon: 'edit',
+  order: 1,
+
+  // Columns sent to the model; the rest of each row stays in the output untouched
+  inputColumns: ['Case Code', 'Model No.', 'Title', 'Problem'],
+
+  // Shape every returned object must have
+  outputSchema: {
+    keys: [
+      'Case Code',
+      'Model No.',
+      'Title',
+      'Problem',
+      'Module',
+      'Summarized Problem',
+      'Severity',
+      'Severity Reason'
+    ],
+    enums: {
+      Severity: ['Critical', 'High', 'Medium', 'Low']
+    },
+    required: ['Module', 'Summarized Problem', 'Severity Reason'],
+    matchKey: 'Case Code'
+  },
+
+  // Repeatable classifications, in Ollama's JSON output mode
+  generation: {
+    temperature: 0,
+    format: 'json'
+  },
+
+  // AI field -> output column added to the source row
+  outputColumns: {
+    'Module': 'Module',
+    'Summarized Problem': 'Summarized Problem',
+    'Severity': 'Severity',
+    'Severity Reason': 'Severity Reason'
+  },
+
+  // Model comparisons check these for agreement; reasons are free text and
+  // are only shown side by side
+  compareFields: ['Module', 'Severity', 'Summarized Problem'],
+
+  // Scoring against a hand-labeled file (see lib/evaluation.js)
+  evaluation: {
+    fields: ['Module', 'Severity'],
+    confusionMatrix: 'Severity',
+    precisionRecall: 'Module'
+  },
+
+  // Results view: filters, charts, the original vs AI fields of the detail panel
+  dashboard: {
+    filters: ['Severity', 'Module', 'Model No.'],
+    charts: ['Severity', 'Module'],
+    original: ['Case Code', 'Model No.', 'Title', 'Problem'],
+    ai: ['Module', 'Summarized Problem', 'Severity', 'Severity Reason'],
+    // Fields a reviewer can correct before the final export
+    editable: ['Module', 'Severity', 'Summarized Problem']
+  },
+
+  // Summary sheets appended to the output (see lib/summary.js)
+  summary: {
+    pivot: { name: 'Module x Severity', rows: 'Module', columns: 'Severity' },
+    counts: [{ name: 'By Model No.', column: 'Model No.' }],
+    top: { name: 'Top Problems', column: 'Summarized Problem', limit: 20 },
+    list: {
+      name: 'Critical Items',
+      column: 'Severity',
+      value: 'Critical',
+      columns: ['Case Code', 'Model No.', 'Title', 'Module', 'Summarized Problem', 'Severity Reason']
+    }
+  },
+
+  promptTemplate: `You are a data-cleaning assistant for Voice of Problem analysis reported by customers.
+Your goal is to process each row of customer feedback data, extract meaningful insights, and generate structured outputs for Excel.
+
+
+For each row in the input data:
+
+Merge & Clean
+Combine and clean the Title and Problem fields into one single clear English sentence that accurately describes the real user issue.
+
+Module Identification
+Identify the correct product module or functional area the issue belongs to
+(e.g., Lock Screen, Camera, Battery, Network, Settings, Display, App Permissions, etc.).
+
+Severity Classification
+Determine severity based on user impact, using the rules below.
+
+Severity Reason
+Provide 1 concise sentence explaining why the chosen severity applies
+(e.g., “Major feature not working”, “Cosmetic issue only”, “Device freeze causing usability problems”, etc.).
+
+Output JSON Object
+For each row, produce one JSON object containing EXACTLY these keys in this order:
+
+Case Code,
+Model No.,
+Title,
+Problem,
+Module,
+Summarized Problem,
+Severity,
+Severity Reason
+
+📌 Rules
+Text Cleaning Rules
+
+Remove IDs, usernames, timestamps, tags or anything inside [ ... ].
+Example: [Samsung Members][AppName: Samsung Members] → ignored
+
+Translate non-English text to English.
+Avoid duplication when merging Title + Problem.
+Avoid internal diagnostic notes (e.g., “log 부족”, “H/W check needed”).
+Output one complete sentence for Summarized Problem.
+
+📌 Severity Guidelines
+
+Choose the severity that best reflects real customer impact:
+
+Severity	When to Use
+Critical	Device unusable, boot failure, data loss, crashes, freezing.
+High	Major feature not working (e.g., Camera fails, Wi-Fi not connecting).
+Medium	Partial malfunction, occasional failure, degraded experience.
+Low	Minor UI issue, cosmetic problem, suggestion or enhancement request.
+
+📌 Output Format Requirements
+
+Return a single JSON array.
+No explanations outside the JSON.
+The JSON must be valid and strictly parseable.
+Each output object must preserve the input order.
+Output must match this structural sequence:
+
+Case Code,
+Model No.,
+Title,
+Problem,
+Module,
+Summarized Problem,
+Severity,
+Severity Reason
+
+📌 Example Input
+[
+  {
+    "Case Code": "C-001",
+    "Model No.": "Galaxy S24U",
+    "Title": "[Samsung Members][64338785][AppName: Samsung Members][Lock Screen] Sports from Google option is not available in S24 ultra",
+    "Problem": "Sports from Google option is not available in S24 ultra: [Samsung Members Notice] Log가 부족하거나 H/W 점검이 필요하다고 판단된 경우 분석 결과와 함께 필요한 정보를 기재하여 Resolve 바랍니다."
+  }
+]
+
+📌 Example Output
+[
+  {
+    "Case Code": "C-001",
+    "Model No.": "Galaxy S24U",
+    "Title": "Sports from Google option is not available in S24 ultra",
+    "Problem": "Sports from Google option is not available in S24 ultra: Log가 부족하거나 H/W 점검이 필요하다고 판단된 경우 분석 결과와 함께 필요한 정보를 기재하여 Resolve 바랍니다.",
+    "Module": "Lock Screen",
+    "Summarized Problem": "The Google Sports option is missing from the Lock Screen on the Galaxy S24 Ultra.",
+    "Severity": "Medium",
+    "Severity Reason": "A Lock Screen feature is missing, causing partial functionality loss but not affecting core device operation."
+  }
+]
+
+
+Input:
+{{rows}}
+
+Return only the JSON array.`
+};
@@ -0,0 +1,231 @@
+// DOM Elements
+const typeSelect = document.getElementById('typeSelect');
+const versionSelect = document.getElementById('versionSelect');
+const versionMeta = document.getElementById('versionMeta');
+const placeholderHint = document.getElementById('placeholderHint');
+const templateEditors = document.getElementById('templateEditors');
+const noteInput = document.getElementById('noteInput');
+const resetBtn = document.getElementById('resetBtn');
+const saveBtn = document.getElementById('saveBtn');
+const saveMessage = document.getElementById('saveMessage');
+const diffSelect = document.getElementById('diffSelect');
+const diffView = document.getElementById('diffView');
+
+// State
+let versions = [];
+let templateKinds = [];
+let latestVersion = null;
+const editors = {};
+
+// The templates a processing type can have, with the placeholders each may use
+const TEMPLATES = {
+    promptTemplate: { label: 'Row prompt', placeholders: ['rows', 'customPrompt'] },
+    textTemplate: { label: 'Text prompt', placeholders: ['text', 'customPrompt'] }
+};
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+    setupEventListeners();
+    loadProcessingTypes();
+});
+
+function setupEventListeners() {
+    typeSelect.addEventListener('change', () => loadVersions(typeSelect.value));
+    versionSelect.addEventListener('change', () => showVersion(versionSelect.value));
+    diffSelect.addEventListener('change', renderDiff);
+    resetBtn.addEventListener('click', () => showVersion(versionSelect.value));
+    saveBtn.addEventListener('click', saveVersion);
+}
+
+async function loadProcessingTypes() {
+    try {
+        const response = await fetch('/api/processing-types');
+        const data = await response.json();
+        data.types.forEach(type => typeSelect.appendChild(new Option(type.name, type.id)));
+        const requested = new URLSearchParams(window.location.search).get('type');
+        if (requested && data.types.some(type => type.id === requested)) {
+            typeSelect.value = requested;
+        }
+        await loadVersions(typeSelect.value);
+    } catch (error) {
+        console.error('Error loading processing types:', error);
+        versionMeta.textContent = 'Could not load the processing types';
+    }
+}
+
+async function loadVersions(processingType, selected) {
+    showMessage(null);
+    try {
+        const response = await fetch(`/api/prompts/${encodeURIComponent(processingType)}`);
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || 'Failed to load prompt versions');
+        }
+        versions = data.versions;
+        templateKinds = data.templates;
+        latestVersion = data.latest;
+    } catch (error) {
+        console.error('Error loading prompt versions:', error);
+        versionMeta.textContent = error.message;
+        return;
+    }
+
+    // Newest first in both lists
+    versionSelect.innerHTML = '';
+    diffSelect.innerHTML = '';
+    versions.slice().reverse().forEach(version => {
+        const label = version.version === latestVersion ? `${version.version} (latest)` : version.version;
+        versionSelect.appendChild(new Option(version.note ? `${label} - ${version.note}` : label, version.version));
+        diffSelect.appendChild(new Option(`Against ${version.version}`, version.version));
+    });
+
+    renderEditors();
+    showVersion(selected || latestVersion);
+}
+
+// One textarea per template the type has
+function renderEditors() {
+    templateEditors.innerHTML = '';
+    Object.keys(editors).forEach(kind => delete editors[kind]);
+    templateKinds.forEach(kind => {
+        const block = document.createElement('div');
+        block.className = 'custom-prompt';
+        const label = document.createElement('label');
+        label.textContent = TEMPLATES[kind].label;
+        label.htmlFor = `template-${kind}`;
+        const textarea = document.createElement('textarea');
+        textarea.id = `template-${kind}`;
+        textarea.className = 'prompt-input template-input';
+        textarea.spellcheck = false;
+        textarea.addEventListener('input', renderDiff);
+        block.appendChild(label);
+        block.appendChild(textarea);
+        templateEditors.appendChild(block);
+        editors[kind] = textarea;
+    });
+    placeholderHint.textContent = templateKinds
+        .map(kind => `${TEMPLATES[kind].label}: ${TEMPLATES[kind].placeholders.map(name => `{{${name}}}`).join(', ')}`)
+        .join(' · ') + ` (${templateKinds.map(kind => `{{${TEMPLATES[kind].placeholders[0]}}}`).join(' and ')} required)`;
+}
+
+function findVersion(name) {
+    return versions.find(version => version.version === name) || null;
+}
+
+// Load a version into the editor, comparing against it until another is picked
+function showVersion(name) {
+    const version = findVersion(name);
+    if (!version) {
+        return;
+    }
+    versionSelect.value = version.version;
+    diffSelect.value = version.version;
+    templateKinds.forEach(kind => {
+        editors[kind].value = version[kind] || '';
+    });
+    noteInput.value = '';
+
+    const details = [
+        `Saved ${new Date(version.createdAt).toLocaleString()}`,
+        version.source === 'editor' ? 'in the editor' : `from ${version.source}`
+    ];
+    if (version.basedOn) {
+        details.push(`based on ${version.basedOn}`);
+    }
+    versionMeta.textContent = `${version.version}: ${details.join(' ')}` + (version.note ? ` · ${version.note}` : '');
+    renderDiff();
+}
+
+function editedTemplates() {
+    const templates = {};
+    templateKinds.forEach(kind => {
+        templates[kind] = editors[kind].value;
+    });
+    return templates;
+}
+
+async function saveVersion() {
+    saveBtn.disabled = true;
+    try {
+        const response = await fetch(`/api/prompts/${encodeURIComponent(typeSelect.value)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(Object.assign(editedTemplates(), {
+                note: noteInput.value,
+                basedOn: versionSelect.value
+            }))
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || 'Failed to save the prompt');
+        }
+        await loadVersions(typeSelect.value, data.version.version);
+        showMessage('success', `Saved as ${data.version.version}; new runs use it unless another version is picked`);
+    } catch (error) {
+        showMessage('error', error.message);
+    } finally {
+        saveBtn.disabled = false;
+    }
+}
+
+function showMessage(kind, text) {
+    saveMessage.style.display = kind ? 'flex' : 'none';
+    saveMessage.className = kind ? `message ${kind}` : 'message';
+    saveMessage.textContent = text || '';
+}
+
+// Line diff of each template against the version picked in the diff select
+function renderDiff() {
+    const base = findVersion(diffSelect.value);
+    diffView.innerHTML = '';
+    if (!base) {
+        return;
+    }
+    const edited = editedTemplates();
+    templateKinds.forEach(kind => {
+        const lines = diffLines((base[kind] || '').split('\n'), edited[kind].split('\n'));
+        const title = document.createElement('h4');
+        title.className = 'prompt-diff-title';
+        const changed = lines.filter(line => line.type !== 'same').length;
+        title.textContent = `${TEMPLATES[kind].label}: ${changed === 0 ? 'no changes' : `${changed} changed lines`}`;
+        const pre = document.createElement('pre');
+        pre.className = 'prompt-diff';
+        lines.forEach(line => {
+            const row = document.createElement('span');
+            row.className = `diff-${line.type}`;
+            row.textContent = `${line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' '} ${line.text}`;
+            pre.appendChild(row);
+        });
+        diffView.appendChild(title);
+        diffView.appendChild(pre);
+    });
+}
+
+// Lines of `before` and `after` marked same, removed or added, from their
+// longest common subsequence
+function diffLines(before, after) {
+    const common = before.map(() => new Array(after.length + 1).fill(0));
+    common.push(new Array(after.length + 1).fill(0));
+    for (let i = before.length - 1; i >= 0; i--) {
+        for (let j = after.length - 1; j >= 0; j--) {
+            common[i][j] = before[i] === after[j]
+                ? common[i + 1][j + 1] + 1
+                : Math.max(common[i + 1][j], common[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < before.length || j < after.length) {
+        if (i < before.length && j < after.length && before[i] === after[j]) {
+            lines.push({ type: 'same', text: before[i++] });
+            j++;
+        } else if (i < before.length && (j === after.length || common[i + 1][j] >= common[i][j + 1])) {
+            lines.push({ type: 'removed', text: before[i++] });
+        } else {
+            lines.push({ type: 'added', text: after[j++] });
+        }
+    }
+    return lines;
+}
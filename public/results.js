@@ -0,0 +1,615 @@
+// DOM Elements
+const resultsTitle = document.getElementById('resultsTitle');
+const resultsMeta = document.getElementById('resultsMeta');
+const downloadOutput = document.getElementById('downloadOutput');
+const chartsContainer = document.getElementById('charts');
+const searchInput = document.getElementById('searchInput');
+const sheetFilter = document.getElementById('sheetFilter');
+const filterFields = document.getElementById('filterFields');
+const clearFiltersBtn = document.getElementById('clearFilters');
+const rowCount = document.getElementById('rowCount');
+const resultsTable = document.getElementById('resultsTable');
+const detailPanel = document.getElementById('detailPanel');
+const detailTitle = document.getElementById('detailTitle');
+const detailColumns = document.getElementById('detailColumns');
+const closeDetailBtn = document.getElementById('closeDetail');
+const toggleReviewBtn = document.getElementById('toggleReview');
+const reviewBar = document.getElementById('reviewBar');
+const reviewProgress = document.getElementById('reviewProgress');
+const exportFormat = document.getElementById('exportFormat');
+const exportReviewedBtn = document.getElementById('exportReviewed');
+
+// State
+let jobId = null;
+let dashboard = null;
+let entries = [];
+let columns = [];
+let sortColumn = null;
+let sortDirection = 1;
+let selectedEntry = null;
+let reviewMode = false;
+
+const AI_STATUS_COLUMN = 'AI Status';
+const AGREEMENT_COLUMN = 'Models Agree';
+const DISAGREEMENTS_COLUMN = 'Disagreements';
+const MAX_TABLE_ROWS = 500; // rendering more makes the page sluggish; filter to narrow down
+const MAX_CHART_BARS = 12;
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+    setupEventListeners();
+    loadResults();
+});
+
+function setupEventListeners() {
+    searchInput.addEventListener('input', render);
+    sheetFilter.addEventListener('change', render);
+    clearFiltersBtn.addEventListener('click', clearFilters);
+    closeDetailBtn.addEventListener('click', () => showDetail(null));
+    toggleReviewBtn.addEventListener('click', toggleReview);
+    exportReviewedBtn.addEventListener('click', exportReviewed);
+}
+
+async function loadResults() {
+    jobId = new URLSearchParams(window.location.search).get('job');
+    if (!jobId) {
+        resultsMeta.textContent = 'No job selected';
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/results`);
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || 'Could not load results');
+        }
+
+        dashboard = data.dashboard || { filters: [], charts: [], original: [], ai: [], editable: [], enums: {} };
+        const overrides = data.overrides || {};
+        entries = [];
+        data.sheets.forEach(sheet => {
+            sheet.rows.forEach((row, index) => {
+                const entry = { sheet: sheet.name, index: index, aiRow: row };
+                applyOverride(entry, overrides[sheet.name] ? overrides[sheet.name][index] : null);
+                entries.push(entry);
+            });
+        });
+        columns = collectColumns(data.sheets);
+
+        if (dashboard.editable.length > 0) {
+            toggleReviewBtn.style.display = 'flex';
+            updateReviewProgress();
+        }
+        renderOverview(data.job, data.sheets, data.generation);
+        renderFilters(data.sheets);
+        render();
+    } catch (error) {
+        console.error('Error loading results:', error);
+        resultsMeta.textContent = 'Error: ' + error.message;
+    }
+}
+
+// Show the reviewer's values in place of the model's
+function applyOverride(entry, override) {
+    entry.override = override || null;
+    entry.row = Object.assign({}, entry.aiRow, override ? override.fields : {});
+}
+
+function isEdited(entry, column) {
+    return Boolean(entry.override && column in entry.override.fields);
+}
+
+// Column names across every sheet in first-seen order
+function collectColumns(sheets) {
+    const names = [];
+    sheets.forEach(sheet => {
+        sheet.rows.forEach(row => {
+            Object.keys(row).forEach(key => {
+                if (!names.includes(key)) {
+                    names.push(key);
+                }
+            });
+        });
+    });
+    return names;
+}
+
+function renderOverview(job, sheets, generation) {
+    resultsTitle.textContent = job.fileName;
+    document.title = `${job.fileName} - Results`;
+
+    const statusCounts = countValues(entries, dashboard.comparison ? AGREEMENT_COLUMN : AI_STATUS_COLUMN);
+    const statusText = statusCounts.length > 0
+        ? ' · ' + statusCounts.map(([value, count]) => `${count} ${value}`).join(', ')
+        : '';
+    const sheetText = sheets.length > 1 ? ` · ${sheets.length} sheets` : '';
+    const model = job.params.compareModels ? job.params.compareModels.join(' vs ') : job.params.model;
+    const promptText = job.params.promptVersion ? ` · prompt ${job.params.promptVersion}` : '';
+    resultsMeta.textContent = `${model}${promptText} · ${new Date(job.createdAt).toLocaleString()} · ${entries.length} rows${sheetText}${statusText}`;
+    // Model options the run used, e.g. "temperature=0, format=json"
+    const options = Object.keys(generation || {}).map(name => `${name}=${generation[name]}`);
+    if (options.length > 0) {
+        resultsMeta.title = `Generation options: ${options.join(', ')}`;
+    }
+
+    if (job.downloadUrl) {
+        downloadOutput.href = job.downloadUrl;
+        downloadOutput.download = job.filename || '';
+        downloadOutput.style.display = 'flex';
+    }
+}
+
+function renderFilters(sheets) {
+    if (sheets.length > 1) {
+        sheetFilter.innerHTML = '<option value="">All sheets</option>';
+        sheets.forEach(sheet => {
+            const option = document.createElement('option');
+            option.value = sheet.name;
+            option.textContent = sheet.name;
+            sheetFilter.appendChild(option);
+        });
+        sheetFilter.style.display = 'block';
+    }
+
+    filterFields.innerHTML = '';
+    dashboard.filters.forEach(filter => {
+        const select = document.createElement('select');
+        select.className = 'model-select';
+        select.dataset.column = filter.column;
+
+        const all = document.createElement('option');
+        all.value = '';
+        all.textContent = `All ${filter.field}`;
+        select.appendChild(all);
+        orderedValues(filter.column).forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value || '(blank)';
+            select.appendChild(option);
+        });
+
+        select.addEventListener('change', render);
+        filterFields.appendChild(select);
+    });
+}
+
+function clearFilters() {
+    searchInput.value = '';
+    sheetFilter.value = '';
+    filterFields.querySelectorAll('select').forEach(select => {
+        select.value = '';
+    });
+    render();
+}
+
+function render() {
+    const rows = getFilteredEntries();
+    renderCharts(rows);
+    renderTable(rows);
+}
+
+function cellText(row, column) {
+    const value = row[column];
+    return value === undefined || value === null ? '' : String(value);
+}
+
+function getFilteredEntries() {
+    const search = searchInput.value.trim().toLowerCase();
+    const selected = Array.from(filterFields.querySelectorAll('select'))
+        .filter(select => select.value !== '')
+        .map(select => ({ column: select.dataset.column, value: select.value }));
+
+    const filtered = entries.filter(entry => {
+        if (sheetFilter.value && entry.sheet !== sheetFilter.value) {
+            return false;
+        }
+        if (!selected.every(filter => cellText(entry.row, filter.column) === filter.value)) {
+            return false;
+        }
+        return !search || columns.some(column => cellText(entry.row, column).toLowerCase().includes(search));
+    });
+
+    if (sortColumn) {
+        filtered.sort((a, b) => compareValues(a.row, b.row, sortColumn) * sortDirection);
+    }
+    return filtered;
+}
+
+// Values with a natural order (e.g. Severity) sort by it; numbers numerically
+function compareValues(a, b, column) {
+    const x = cellText(a, column);
+    const y = cellText(b, column);
+    const order = dashboard.enums[column];
+    if (order) {
+        const rank = value => (order.includes(value) ? order.indexOf(value) : order.length);
+        return rank(x) - rank(y);
+    }
+    if (x !== '' && y !== '' && !isNaN(x) && !isNaN(y)) {
+        return Number(x) - Number(y);
+    }
+    return x.localeCompare(y);
+}
+
+// [value, count] pairs, most frequent first
+function countValues(list, column) {
+    const counts = new Map();
+    list.forEach(entry => {
+        if (entry.row[column] === undefined) {
+            return;
+        }
+        const value = cellText(entry.row, column);
+        counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    return Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+}
+
+// Distinct values of a column: the natural order first, then alphabetical
+function orderedValues(column) {
+    const values = countValues(entries, column).map(([value]) => value);
+    const order = dashboard.enums[column] || [];
+    const known = order.filter(value => values.includes(value));
+    return known.concat(values.filter(value => !known.includes(value)).sort((a, b) => a.localeCompare(b)));
+}
+
+function renderCharts(rows) {
+    chartsContainer.innerHTML = '';
+    if (dashboard.comparison) {
+        chartsContainer.appendChild(buildAgreementCard(rows));
+    }
+    dashboard.charts.forEach(chart => {
+        const counts = countValues(rows, chart.column);
+        const order = dashboard.enums[chart.column];
+        if (order) {
+            const rank = value => (order.includes(value) ? order.indexOf(value) : order.length);
+            counts.sort((a, b) => rank(a[0]) - rank(b[0]));
+        }
+        const max = counts.length > 0 ? Math.max(...counts.map(([, count]) => count)) : 0;
+
+        const card = document.createElement('div');
+        card.className = 'chart-card';
+        const title = document.createElement('h3');
+        title.textContent = chart.field;
+        card.appendChild(title);
+
+        counts.slice(0, MAX_CHART_BARS).forEach(([value, count]) => {
+            const bar = document.createElement('div');
+            bar.className = 'chart-bar';
+            bar.dataset.value = value;
+
+            const label = document.createElement('span');
+            label.className = 'chart-label';
+            label.textContent = value || '(blank)';
+            label.title = value;
+            const track = document.createElement('span');
+            track.className = 'chart-track';
+            const fill = document.createElement('span');
+            fill.className = 'chart-fill';
+            fill.style.width = (max ? count / max * 100 : 0) + '%';
+            track.appendChild(fill);
+            const number = document.createElement('span');
+            number.className = 'chart-count';
+            number.textContent = count;
+
+            bar.appendChild(label);
+            bar.appendChild(track);
+            bar.appendChild(number);
+            card.appendChild(bar);
+        });
+        if (counts.length > MAX_CHART_BARS) {
+            const more = document.createElement('p');
+            more.className = 'chart-more';
+            more.textContent = `+ ${counts.length - MAX_CHART_BARS} more`;
+            card.appendChild(more);
+        }
+
+        chartsContainer.appendChild(card);
+    });
+}
+
+// Comparison runs: the share of rows each field agrees on across the models,
+// among the shown rows every model answered
+function buildAgreementCard(rows) {
+    const compared = rows.filter(entry => cellText(entry.row, AGREEMENT_COLUMN) !== '');
+    const card = document.createElement('div');
+    card.className = 'chart-card';
+    const title = document.createElement('h3');
+    title.textContent = `Agreement (${compared.length} rows compared)`;
+    card.appendChild(title);
+
+    dashboard.comparison.fields.forEach(field => {
+        const agreeing = compared.filter(entry => !disagreeingFields(entry).includes(field.column)).length;
+        const rate = compared.length ? Math.round(agreeing / compared.length * 100) : 0;
+
+        const bar = document.createElement('div');
+        bar.className = 'chart-bar';
+        const label = document.createElement('span');
+        label.className = 'chart-label';
+        label.textContent = field.column;
+        label.title = field.column;
+        const track = document.createElement('span');
+        track.className = 'chart-track';
+        const fill = document.createElement('span');
+        fill.className = 'chart-fill';
+        fill.style.width = rate + '%';
+        track.appendChild(fill);
+        const number = document.createElement('span');
+        number.className = 'chart-count';
+        number.textContent = compared.length ? rate + '%' : '—';
+        number.title = `${agreeing} of ${compared.length}`;
+
+        bar.appendChild(label);
+        bar.appendChild(track);
+        bar.appendChild(number);
+        card.appendChild(bar);
+    });
+    return card;
+}
+
+// Fields the models gave different answers for in this row
+function disagreeingFields(entry) {
+    const value = cellText(entry.row, DISAGREEMENTS_COLUMN);
+    return value ? value.split(', ') : [];
+}
+
+// Per-model columns of the fields the models disagree on in this row
+function disagreeingColumns(entry) {
+    if (!dashboard.comparison) {
+        return [];
+    }
+    const fields = disagreeingFields(entry);
+    return dashboard.comparison.fields
+        .filter(field => fields.includes(field.column))
+        .reduce((all, field) => all.concat(field.columns), []);
+}
+
+function isStatusColumn(column) {
+    return column === AI_STATUS_COLUMN || Boolean(dashboard.comparison && dashboard.comparison.statusColumns.includes(column));
+}
+
+function renderTable(rows) {
+    const showSheet = sheetFilter.options.length > 0;
+    const head = resultsTable.querySelector('thead');
+    const body = resultsTable.querySelector('tbody');
+    head.innerHTML = '';
+    body.innerHTML = '';
+
+    const headerRow = document.createElement('tr');
+    if (reviewMode) {
+        const th = document.createElement('th');
+        th.textContent = 'Accepted';
+        headerRow.appendChild(th);
+    }
+    if (showSheet) {
+        const th = document.createElement('th');
+        th.textContent = 'Sheet';
+        headerRow.appendChild(th);
+    }
+    columns.forEach(column => {
+        const th = document.createElement('th');
+        th.textContent = column + (sortColumn === column ? (sortDirection === 1 ? ' ▲' : ' ▼') : '');
+        th.className = 'sortable';
+        th.addEventListener('click', () => {
+            sortDirection = sortColumn === column ? -sortDirection : 1;
+            sortColumn = column;
+            render();
+        });
+        headerRow.appendChild(th);
+    });
+    head.appendChild(headerRow);
+
+    rows.slice(0, MAX_TABLE_ROWS).forEach(entry => body.appendChild(buildRow(entry, showSheet)));
+
+    rowCount.textContent = rows.length > MAX_TABLE_ROWS
+        ? `Showing ${MAX_TABLE_ROWS} of ${rows.length} matching rows (${entries.length} total) - filter to narrow down`
+        : `${rows.length} of ${entries.length} rows`;
+}
+
+function buildRow(entry, showSheet) {
+    const editable = reviewMode ? dashboard.editable.map(field => field.column) : [];
+    const disagreeing = disagreeingColumns(entry);
+    const tr = document.createElement('tr');
+    entry.element = tr;
+    if (entry === selectedEntry) {
+        tr.className = 'selected';
+    }
+
+    if (reviewMode) {
+        const td = document.createElement('td');
+        const accepted = document.createElement('input');
+        accepted.type = 'checkbox';
+        accepted.checked = Boolean(entry.override && entry.override.accepted);
+        accepted.title = 'The AI values of this row are correct';
+        accepted.addEventListener('change', () => saveReview(entry, { accepted: accepted.checked }));
+        td.appendChild(accepted);
+        tr.appendChild(td);
+    }
+    if (showSheet) {
+        const td = document.createElement('td');
+        td.textContent = entry.sheet;
+        tr.appendChild(td);
+    }
+    columns.forEach(column => {
+        const td = document.createElement('td');
+        if (editable.includes(column)) {
+            td.dataset.column = column;
+            td.appendChild(buildEditor(entry, column));
+        } else {
+            td.textContent = cellText(entry.row, column);
+        }
+        if (isEdited(entry, column)) {
+            td.classList.add('edited');
+        }
+        if (isStatusColumn(column) && entry.row[column] !== 'OK') {
+            td.classList.add('status-warning');
+        }
+        if (disagreeing.includes(column)) {
+            td.classList.add('disagree');
+        }
+        tr.appendChild(td);
+    });
+
+    tr.addEventListener('click', e => {
+        if (!e.target.closest('input, select')) {
+            showDetail(entry);
+        }
+    });
+    return tr;
+}
+
+// A select for fields with fixed values (e.g. Severity), a text box otherwise
+function buildEditor(entry, column) {
+    const current = cellText(entry.row, column);
+    const order = dashboard.enums[column];
+    let editor;
+    if (order) {
+        editor = document.createElement('select');
+        const values = order.includes(current) ? order : [current].concat(order);
+        values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value || '(blank)';
+            editor.appendChild(option);
+        });
+    } else {
+        editor = document.createElement('input');
+        editor.type = 'text';
+    }
+    editor.className = 'cell-editor';
+    editor.value = current;
+    editor.title = `AI: ${cellText(entry.aiRow, column)}`;
+    editor.addEventListener('change', () => saveReview(entry, { fields: { [column]: editor.value } }));
+    return editor;
+}
+
+function toggleReview() {
+    reviewMode = !reviewMode;
+    toggleReviewBtn.textContent = reviewMode ? 'Done reviewing' : 'Review';
+    reviewBar.style.display = reviewMode ? 'flex' : 'none';
+    render();
+}
+
+// Store a correction or acceptance on the server, then update the row in place
+// so the focus stays where the reviewer is typing
+async function saveReview(entry, changes) {
+    try {
+        const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/review`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(Object.assign({ sheet: entry.sheet, row: entry.index }, changes))
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || 'Could not save the review');
+        }
+
+        applyOverride(entry, data.override);
+        if (entry.element) {
+            entry.element.querySelectorAll('td[data-column]').forEach(td => {
+                td.classList.toggle('edited', isEdited(entry, td.dataset.column));
+            });
+        }
+        updateReviewProgress();
+        renderCharts(getFilteredEntries());
+        if (entry === selectedEntry) {
+            showDetail(entry);
+        }
+    } catch (error) {
+        console.error('Error saving review:', error);
+        alert('Error: ' + error.message);
+        render();
+    }
+}
+
+function updateReviewProgress() {
+    const reviewed = entries.filter(entry => entry.override).length;
+    const edited = entries.filter(entry => entry.override && Object.keys(entry.override.fields).length > 0).length;
+    reviewProgress.textContent = reviewed === 0
+        ? 'No rows reviewed yet'
+        : `${reviewed} of ${entries.length} rows reviewed, ${edited} with corrections`;
+}
+
+// Write the output again with the corrections and a Human Edited column
+async function exportReviewed() {
+    exportReviewedBtn.disabled = true;
+    try {
+        const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/export`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ outputFormat: exportFormat.value })
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || 'Export failed');
+        }
+        downloadFile(data.downloadUrl, data.filename);
+    } catch (error) {
+        console.error('Error exporting:', error);
+        alert('Error: ' + error.message);
+    } finally {
+        exportReviewedBtn.disabled = false;
+    }
+}
+
+function downloadFile(url, filename) {
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+}
+
+// Original fields next to what the model produced for the selected row
+function showDetail(entry) {
+    selectedEntry = entry;
+    resultsTable.querySelectorAll('tbody tr.selected').forEach(tr => tr.classList.remove('selected'));
+    if (!entry) {
+        detailPanel.style.display = 'none';
+        return;
+    }
+    if (entry.element) {
+        entry.element.classList.add('selected');
+    }
+
+    detailTitle.textContent = `${entry.sheet} · row ${entry.index + 1}`;
+    detailColumns.innerHTML = '';
+    const disagreeing = disagreeingColumns(entry);
+    const groups = dashboard.original.length > 0 || dashboard.ai.length > 0
+        ? [
+            { title: 'Original', fields: dashboard.original },
+            { title: 'AI', fields: dashboard.ai.concat([{ field: AI_STATUS_COLUMN, column: AI_STATUS_COLUMN }]) }
+        ]
+        : [{ title: 'Row', fields: columns.map(column => ({ field: column, column: column })) }];
+
+    groups.forEach(group => {
+        const block = document.createElement('div');
+        block.className = 'detail-group';
+        const title = document.createElement('h4');
+        title.textContent = group.title;
+        const list = document.createElement('dl');
+        group.fields
+            .filter(field => entry.row[field.column] !== undefined)
+            .forEach(field => {
+                const label = document.createElement('dt');
+                label.textContent = field.field === field.column ? field.field : `${field.field} (${field.column})`;
+                const value = document.createElement('dd');
+                value.textContent = cellText(entry.row, field.column) || '—';
+                if (disagreeing.includes(field.column)) {
+                    value.classList.add('disagree');
+                }
+                if (isEdited(entry, field.column)) {
+                    const note = document.createElement('span');
+                    note.className = 'detail-edited';
+                    note.textContent = `Edited - AI: ${cellText(entry.aiRow, field.column) || '(blank)'}`;
+                    value.appendChild(note);
+                }
+                list.appendChild(label);
+                list.appendChild(value);
+            });
+        block.appendChild(title);
+        block.appendChild(list);
+        detailColumns.appendChild(block);
+    });
+
+    detailPanel.style.display = 'block';
+}
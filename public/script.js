@@ -6,28 +6,117 @@ const fileName = document.getElementById('fileName');
 const fileSize = document.getElementById('fileSize');
 const fileContent = document.getElementById('fileContent');
 const removeFile = document.getElementById('removeFile');
+const sheetPicker = document.getElementById('sheetPicker');
+const sheetList = document.getElementById('sheetList');
+const allSheets = document.getElementById('allSheets');
+const columnMapping = document.getElementById('columnMapping');
+const mappingGrid = document.getElementById('mappingGrid');
+const previousOutput = document.getElementById('previousOutput');
+const previousOutputHint = document.getElementById('previousOutputHint');
+const previousFile = document.getElementById('previousFile');
+const outputFormatSelect = document.getElementById('outputFormat');
 const processBtn = document.getElementById('processBtn');
 const loadingOverlay = document.getElementById('loadingOverlay');
 const customPrompt = document.getElementById('customPrompt');
 const customPromptInput = document.getElementById('customPromptInput');
+const librarySearch = document.getElementById('librarySearch');
+const librarySelect = document.getElementById('librarySelect');
+const libraryName = document.getElementById('libraryName');
+const libraryTags = document.getElementById('libraryTags');
+const saveLibraryPromptBtn = document.getElementById('saveLibraryPrompt');
+const deleteLibraryPromptBtn = document.getElementById('deleteLibraryPrompt');
+const importLibraryBtn = document.getElementById('importLibrary');
+const libraryFile = document.getElementById('libraryFile');
 const statusElement = document.getElementById('status');
 const progressContainer = document.getElementById('progressContainer');
 const progressFill = document.getElementById('progressFill');
 const progressText = document.getElementById('progressText');
 const modelSelect = document.getElementById('modelSelect');
+const toggleAdvancedBtn = document.getElementById('toggleAdvanced');
+const advancedOptions = document.getElementById('advancedOptions');
+const optTemperature = document.getElementById('optTemperature');
+const optNumCtx = document.getElementById('optNumCtx');
+const optSeed = document.getElementById('optSeed');
+const optFormat = document.getElementById('optFormat');
+const optPromptVersion = document.getElementById('optPromptVersion');
+const editPromptsLink = document.getElementById('editPromptsLink');
+const toggleCompareBtn = document.getElementById('toggleCompare');
+const compareOptions = document.getElementById('compareOptions');
+const compareModelList = document.getElementById('compareModelList');
+const processingTypesContainer = document.getElementById('processingTypes');
+const textInput = document.getElementById('textInput');
+const charCount = document.getElementById('charCount');
+const resultsSection = document.getElementById('resultsSection');
+const resultContent = document.getElementById('resultContent');
+const copyResultBtn = document.getElementById('copyResult');
+const downloadResultBtn = document.getElementById('downloadResult');
+const jobsList = document.getElementById('jobsList');
+const refreshJobsBtn = document.getElementById('refreshJobs');
+const historyList = document.getElementById('historyList');
+const refreshHistoryBtn = document.getElementById('refreshHistory');
+const footerModel = document.getElementById('footerModel');
 
 // State
 let currentFile = null;
 let currentResult = '';
+let currentDownload = null;
+let activeTab = 'upload';
+let processingTypes = [];
+let workbookSheets = [];
+let libraryPrompts = [];
+// Server settings from /api/config; the upload limit applies until they load
+let serverConfig = { defaultModel: null, uploadLimitMb: 10 };
+
+const ACTIVE_JOB_KEY = 'activeJobId';
+// Card icons for processing types, keyed by the definition's `icon`
+const PROCESSING_ICONS = {
+    edit: '<path d="M12 20h9"></path><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>',
+    'file-text': '<path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path><polyline points="14 2 14 8 20 8"></polyline><line x1="16" y1="13" x2="8" y2="13"></line><line x1="16" y1="17" x2="8" y2="17"></line>',
+    'bar-chart': '<line x1="12" y1="20" x2="12" y2="10"></line><line x1="18" y1="20" x2="18" y2="4"></line><line x1="6" y1="20" x2="6" y2="16"></line>',
+    list: '<line x1="8" y1="6" x2="21" y2="6"></line><line x1="8" y1="12" x2="21" y2="12"></line><line x1="8" y1="18" x2="21" y2="18"></line><line x1="3" y1="6" x2="3.01" y2="6"></line><line x1="3" y1="12" x2="3.01" y2="12"></line><line x1="3" y1="18" x2="3.01" y2="18"></line>',
+    globe: '<circle cx="12" cy="12" r="10"></circle><line x1="2" y1="12" x2="22" y2="12"></line><path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"></path>',
+    'help-circle': '<circle cx="12" cy="12" r="10"></circle><path d="M9.09 9a3 3 0 0 1 5.83 1c0 2-3 3-3 3"></path><line x1="12" y1="17" x2="12.01" y2="17"></line>'
+};
+
+const WORKBOOK_EXTENSIONS = ['.xls', '.xlsx'];
+// Row-structured files that go through the same pipeline as Excel
+const TABLE_EXTENSIONS = ['.csv', '.tsv', '.json', '.jsonl'];
+
+const JOB_POLL_INTERVAL = 2000; // fallback when the progress stream is unavailable
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
     setupEventListeners();
-    loadModels();
+    loadProcessingTypes();
+    loadPromptLibrary();
+    loadServerConfig().then(loadModels);
     checkOllamaConnection();
+    loadJobs();
+    loadHistory();
+    resumeActiveJob();
 });
 
 function setupEventListeners() {
+    // Tabs
+    document.querySelectorAll('.tab-btn').forEach(btn => {
+        btn.addEventListener('click', () => switchTab(btn.dataset.tab));
+    });
+
+    // Text input
+    textInput.addEventListener('input', () => {
+        charCount.textContent = textInput.value.length;
+    });
+
+    // Result actions
+    copyResultBtn.addEventListener('click', () => navigator.clipboard.writeText(currentResult));
+    downloadResultBtn.addEventListener('click', () => {
+        if (currentDownload) {
+            downloadFile(currentDownload.downloadUrl, currentDownload.filename);
+        } else {
+            downloadText(currentResult, `processed-${Date.now()}.txt`);
+        }
+    });
+
     // Dropzone events
     dropzone.addEventListener('click', () => fileInput.click());
     dropzone.addEventListener('dragover', handleDragOver);
@@ -37,20 +126,53 @@ function setupEventListeners() {
     // File input
     fileInput.addEventListener('change', handleFileSelect);
     removeFile.addEventListener('click', clearFile);
-
-    // Processing type change
-    document.querySelectorAll('input[name="processingType"]').forEach(radio => {
-        radio.addEventListener('change', handleProcessingTypeChange);
+    allSheets.addEventListener('change', () => {
+        sheetList.querySelectorAll('input[type="checkbox"]').forEach(box => {
+            box.checked = allSheets.checked;
+        });
+        renderColumnMapping();
     });
 
-    // Model change
+    // Model change and generation options
     modelSelect.addEventListener('change', handleModelChange);
+    toggleAdvancedBtn.addEventListener('click', () => {
+        const open = advancedOptions.style.display === 'none';
+        advancedOptions.style.display = open ? 'grid' : 'none';
+        toggleAdvancedBtn.classList.toggle('active', open);
+    });
+    toggleCompareBtn.addEventListener('click', () => {
+        const open = compareOptions.style.display === 'none';
+        compareOptions.style.display = open ? 'block' : 'none';
+        toggleCompareBtn.classList.toggle('active', open);
+        modelSelect.disabled = open;
+    });
+
+    // Saved custom prompts
+    librarySearch.addEventListener('input', loadPromptLibrary);
+    librarySelect.addEventListener('change', loadLibraryPrompt);
+    saveLibraryPromptBtn.addEventListener('click', saveLibraryPrompt);
+    deleteLibraryPromptBtn.addEventListener('click', deleteLibraryPrompt);
+    importLibraryBtn.addEventListener('click', () => libraryFile.click());
+    libraryFile.addEventListener('change', importPromptLibrary);
 
     // Process button
     processBtn.addEventListener('click', handleProcess);
+
+    // Jobs list and history
+    refreshJobsBtn.addEventListener('click', loadJobs);
+    refreshHistoryBtn.addEventListener('click', loadHistory);
 }
 
 
+function switchTab(tab) {
+    activeTab = tab;
+    document.querySelectorAll('.tab-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.tab === tab);
+    });
+    document.querySelectorAll('.tab-content').forEach(content => {
+        content.classList.toggle('active', content.id === `${tab}-tab`);
+    });
+}
 
 function handleDragOver(e) {
     e.preventDefault();
@@ -80,17 +202,17 @@ function handleFileSelect(e) {
 
 function handleFile(file) {
     // Validate file type
-    const validTypes = ['.txt', '.md', '.json', '.csv', '.log', '.xls', '.xlsx'];
-    const fileExt = '.' + file.name.split('.').pop().toLowerCase();
+    const validTypes = ['.txt', '.md', '.json', '.jsonl', '.csv', '.tsv', '.log', '.xls', '.xlsx'];
+    const fileExt = getFileExtension(file.name);
 
     if (!validTypes.includes(fileExt)) {
-        alert('Please upload a valid file type: .txt, .md, .json, .csv, .log, .xls, or .xlsx');
+        alert('Please upload a valid file type: .txt, .md, .json, .jsonl, .csv, .tsv, .log, .xls, or .xlsx');
         return;
     }
 
-    // Validate file size (10MB max)
-    if (file.size > 10 * 1024 * 1024) {
-        alert('File size must be less than 10MB');
+    // Validate file size against the server's upload limit
+    if (file.size > serverConfig.uploadLimitMb * 1024 * 1024) {
+        alert(`File size must be less than ${serverConfig.uploadLimitMb}MB`);
         return;
     }
 
@@ -101,10 +223,11 @@ function handleFile(file) {
     fileSize.textContent = formatFileSize(file.size);
     
     // Read and display file content
-    if (fileExt === '.xls' || fileExt === '.xlsx') {
-        fileContent.textContent = 'Excel file - content will be extracted as XLSX format for processing.';
+    if (WORKBOOK_EXTENSIONS.includes(fileExt)) {
+        fileContent.textContent = 'Reading workbook...';
         dropzone.style.display = 'none';
         filePreview.style.display = 'block';
+        inspectWorkbook(file);
     } else {
         const reader = new FileReader();
         reader.onload = (e) => {
@@ -112,17 +235,181 @@ function handleFile(file) {
             fileContent.textContent = content.length > 500 ? content.substring(0, 500) + '...' : content;
             dropzone.style.display = 'none';
             filePreview.style.display = 'block';
+            // The server detects the encoding and delimiter and reads the rows
+            if (TABLE_EXTENSIONS.includes(fileExt)) {
+                inspectWorkbook(file);
+            }
         };
         reader.readAsText(file);
     }
 }
 
+function getFileExtension(name) {
+    return '.' + name.split('.').pop().toLowerCase();
+}
+
+// Workbooks and files the server could read as a table are processed row by row
+function isTableInput(file) {
+    return WORKBOOK_EXTENSIONS.includes(getFileExtension(file.name)) || workbookSheets.length > 0;
+}
+
 function clearFile() {
     currentFile = null;
+    workbookSheets = [];
     fileInput.value = '';
     dropzone.style.display = 'block';
     filePreview.style.display = 'none';
     fileContent.textContent = '';
+    sheetPicker.style.display = 'none';
+    sheetList.innerHTML = '';
+    columnMapping.style.display = 'none';
+    mappingGrid.innerHTML = '';
+    previousFile.value = '';
+    previousOutput.style.display = 'none';
+}
+
+// Ask the server for the workbook's sheets so the user can pick which to process
+async function inspectWorkbook(file) {
+    const formData = new FormData();
+    formData.append('file', file);
+
+    try {
+        const response = await fetch('/api/workbook/sheets', {
+            method: 'POST',
+            body: formData
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || 'Could not read workbook');
+        }
+        if (currentFile !== file) {
+            return;
+        }
+
+        workbookSheets = data.sheets;
+        const totalRows = workbookSheets.reduce((sum, sheet) => sum + sheet.rowCount, 0);
+        if (WORKBOOK_EXTENSIONS.includes(getFileExtension(file.name))) {
+            fileContent.textContent = `Excel workbook - ${workbookSheets.length} sheet${workbookSheets.length === 1 ? '' : 's'}, ${totalRows} rows`;
+            renderSheetPicker();
+        } else {
+            // A single table: no sheets to pick, but columns to map
+            const encoding = workbookSheets[0].encoding ? ` (${workbookSheets[0].encoding})` : '';
+            fileContent.textContent = `Table - ${totalRows} rows, columns: ${workbookSheets[0].headers.join(', ')}${encoding}\n\n` + fileContent.textContent;
+            renderColumnMapping();
+        }
+        updatePreviousOutput();
+    } catch (error) {
+        console.error('Error reading workbook:', error);
+        if (WORKBOOK_EXTENSIONS.includes(getFileExtension(file.name))) {
+            fileContent.textContent = 'Excel file - the first sheet will be processed.';
+        }
+    }
+}
+
+function renderSheetPicker() {
+    sheetList.innerHTML = '';
+    allSheets.checked = true;
+    workbookSheets.forEach(sheet => {
+        const option = document.createElement('label');
+        option.className = 'sheet-option';
+        option.title = sheet.headers.join(', ');
+
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.value = sheet.name;
+        box.checked = true;
+        box.addEventListener('change', () => {
+            allSheets.checked = getSelectedSheets().length === workbookSheets.length;
+            renderColumnMapping();
+        });
+
+        const label = document.createElement('span');
+        label.textContent = `${sheet.name} (${sheet.rowCount} rows)`;
+
+        option.appendChild(box);
+        option.appendChild(label);
+        sheetList.appendChild(option);
+    });
+    sheetPicker.style.display = 'block';
+    renderColumnMapping();
+}
+
+// The sheet whose header row drives the column mapping: the first selected one
+// (a CSV or JSON file has a single sheet and no picker)
+function getMappingSheet() {
+    if (sheetList.children.length === 0) {
+        return workbookSheets[0] || null;
+    }
+    const selected = getSelectedSheets();
+    return workbookSheets.find(sheet => selected.includes(sheet.name)) || null;
+}
+
+// Show one dropdown per field the processing type sends to the model, preset from
+// the mapping remembered for this header row, else from a same-named column
+function renderColumnMapping() {
+    const type = getSelectedProcessingType();
+    const sheet = getMappingSheet();
+    mappingGrid.innerHTML = '';
+    if (!type || !type.inputColumns || !sheet) {
+        columnMapping.style.display = 'none';
+        return;
+    }
+
+    const saved = sheet.savedMappings[type.id] || {};
+    type.inputColumns.forEach(field => {
+        const label = document.createElement('label');
+        label.textContent = field;
+
+        const select = document.createElement('select');
+        select.className = 'model-select';
+        select.dataset.field = field;
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = '(not mapped)';
+        select.appendChild(none);
+        sheet.headers.forEach(header => {
+            const option = document.createElement('option');
+            option.value = header;
+            option.textContent = header;
+            select.appendChild(option);
+        });
+
+        if (saved[field] && sheet.headers.includes(saved[field])) {
+            select.value = saved[field];
+        } else {
+            select.value = sheet.headers.find(header => header.trim().toLowerCase() === field.toLowerCase()) || '';
+        }
+
+        mappingGrid.appendChild(label);
+        mappingGrid.appendChild(select);
+    });
+    columnMapping.style.display = 'block';
+}
+
+function getColumnMapping() {
+    const selects = mappingGrid.querySelectorAll('select');
+    if (selects.length === 0) {
+        return null;
+    }
+    const mapping = {};
+    selects.forEach(select => {
+        mapping[select.dataset.field] = select.value || null;
+    });
+    return mapping;
+}
+
+function getSelectedSheets() {
+    return Array.from(sheetList.querySelectorAll('input[type="checkbox"]:checked')).map(box => box.value);
+}
+
+// Row counts of a run against a previous output
+function formatDelta(delta) {
+    return `${delta.new} new, ${delta.changed} changed, ${delta.carriedOver} carried over`;
+}
+
+// Evaluation runs: "accuracy Module 80%, Severity 60%"
+function formatAccuracy(fields) {
+    return 'accuracy ' + fields.map(item => `${item.field} ${item.accuracy === null ? 'n/a' : Math.round(item.accuracy * 100) + '%'}`).join(', ');
 }
 
 function formatFileSize(bytes) {
@@ -135,11 +422,263 @@ function formatFileSize(bytes) {
 
 
 
-function handleProcessingTypeChange(e) {
-    if (e.target.value === 'custom') {
-        customPrompt.style.display = 'block';
-    } else {
-        customPrompt.style.display = 'none';
+async function loadProcessingTypes() {
+    try {
+        const response = await fetch('/api/processing-types');
+        const data = await response.json();
+        processingTypes = data.types || [];
+        renderProcessingTypes();
+    } catch (error) {
+        console.error('Error loading processing types:', error);
+        processingTypesContainer.innerHTML = '<p class="jobs-empty">Could not load processing types</p>';
+    }
+}
+
+function renderProcessingTypes() {
+    processingTypesContainer.innerHTML = '';
+    processingTypes.forEach((type, index) => {
+        const card = document.createElement('label');
+        card.className = 'radio-card';
+
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = 'processingType';
+        radio.value = type.id;
+        radio.checked = index === 0;
+        radio.addEventListener('change', handleProcessingTypeChange);
+
+        const content = document.createElement('div');
+        content.className = 'radio-card-content';
+        content.innerHTML = `<svg class="card-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${PROCESSING_ICONS[type.icon] || PROCESSING_ICONS.edit}</svg>`;
+        const title = document.createElement('h3');
+        title.textContent = type.name;
+        const description = document.createElement('p');
+        description.textContent = type.description;
+        content.appendChild(title);
+        content.appendChild(description);
+
+        card.appendChild(radio);
+        card.appendChild(content);
+        processingTypesContainer.appendChild(card);
+    });
+    updateCustomPromptVisibility();
+    updateGenerationDefaults();
+    loadPromptVersions();
+}
+
+function getSelectedProcessingType() {
+    const checked = document.querySelector('input[name="processingType"]:checked');
+    return checked ? processingTypes.find(type => type.id === checked.value) : null;
+}
+
+function handleProcessingTypeChange() {
+    updateCustomPromptVisibility();
+    renderColumnMapping();
+    updatePreviousOutput();
+    updateGenerationDefaults();
+    loadPromptVersions();
+}
+
+// Show the selected type's generation defaults as placeholders in the Advanced panel
+function updateGenerationDefaults() {
+    const type = getSelectedProcessingType();
+    const defaults = (type && type.generation) || {};
+    optTemperature.placeholder = defaults.temperature !== undefined ? `Default: ${defaults.temperature}` : 'Model default';
+    optNumCtx.placeholder = defaults.num_ctx !== undefined ? `Default: ${defaults.num_ctx}` : 'Model default';
+    optSeed.placeholder = defaults.seed !== undefined ? `Default: ${defaults.seed}` : 'Random';
+    optFormat.options[0].textContent = `Processing type default (${defaults.format === 'json' ? 'JSON' : 'free text'})`;
+}
+
+// Fill the Advanced panel's prompt versions for the selected type, newest first
+async function loadPromptVersions() {
+    const type = getSelectedProcessingType();
+    optPromptVersion.innerHTML = '';
+    optPromptVersion.appendChild(new Option(type ? `Latest (${type.promptVersion})` : 'Latest', ''));
+    if (!type) {
+        return;
+    }
+    editPromptsLink.href = `prompts.html?type=${encodeURIComponent(type.id)}`;
+    try {
+        const response = await fetch(`/api/prompts/${encodeURIComponent(type.id)}`);
+        const data = await response.json();
+        if (!data.success || getSelectedProcessingType() !== type) {
+            return;
+        }
+        optPromptVersion.options[0].textContent = `Latest (${data.latest})`;
+        data.versions.slice().reverse().forEach(version => {
+            const label = version.note ? `${version.version} - ${version.note}` : version.version;
+            optPromptVersion.appendChild(new Option(label, version.version));
+        });
+    } catch (error) {
+        console.error('Error loading prompt versions:', error);
+    }
+}
+
+// Overrides set in the Advanced panel; null when everything is left at the defaults
+function getGenerationOptions() {
+    const options = {};
+    [['temperature', optTemperature], ['num_ctx', optNumCtx], ['seed', optSeed]].forEach(([name, input]) => {
+        if (input.value.trim() !== '') {
+            options[name] = Number(input.value);
+        }
+    });
+    if (optFormat.value !== 'default') {
+        options.format = optFormat.value === 'json' ? 'json' : null;
+    }
+    return Object.keys(options).length > 0 ? options : null;
+}
+
+// One checkbox per model for comparison runs; ticked models stay ticked when
+// the list is reloaded
+function renderCompareModels(models) {
+    const ticked = getCompareModels() || [];
+    compareModelList.innerHTML = '';
+    models.forEach(model => {
+        const label = document.createElement('label');
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.value = model;
+        box.checked = ticked.includes(model);
+        label.appendChild(box);
+        label.appendChild(document.createTextNode(' ' + model));
+        compareModelList.appendChild(label);
+    });
+}
+
+// The models ticked for a comparison, or null when comparing is off
+function getCompareModels() {
+    if (compareOptions.style.display === 'none') {
+        return null;
+    }
+    return Array.from(compareModelList.querySelectorAll('input:checked')).map(box => box.value);
+}
+
+// A previous output can be given for tables when the processing type matches
+// rows on a key (e.g. VOC's Case Code)
+function updatePreviousOutput() {
+    const type = getSelectedProcessingType();
+    if (!currentFile || !isTableInput(currentFile) || !type || !type.matchKey) {
+        previousOutput.style.display = 'none';
+        return;
+    }
+    previousOutputHint.textContent = `Rows are matched on ${type.matchKey}: only new rows and rows whose input changed are processed, the rest keep their earlier results and corrections`;
+    previousOutput.style.display = 'block';
+}
+
+function updateCustomPromptVisibility() {
+    const selected = getSelectedProcessingType();
+    customPrompt.style.display = selected && selected.requiresCustomPrompt ? 'block' : 'none';
+}
+
+// Fill the saved prompts dropdown with the prompts matching the search box,
+// keeping the selection when it still matches
+async function loadPromptLibrary() {
+    const selected = librarySelect.value;
+    try {
+        const response = await fetch(`/api/prompt-library?q=${encodeURIComponent(librarySearch.value)}`);
+        const data = await response.json();
+        libraryPrompts = data.prompts || [];
+    } catch (error) {
+        console.error('Error loading the prompt library:', error);
+        libraryPrompts = [];
+    }
+
+    librarySelect.innerHTML = '';
+    const query = librarySearch.value.trim();
+    librarySelect.appendChild(new Option(query ? `${libraryPrompts.length} saved prompts match` : 'Saved prompts', ''));
+    libraryPrompts.forEach(entry => {
+        const tags = entry.tags.length > 0 ? ` [${entry.tags.join(', ')}]` : '';
+        librarySelect.appendChild(new Option(`${entry.name}${tags}`, entry.id));
+    });
+    librarySelect.value = libraryPrompts.some(entry => entry.id === selected) ? selected : '';
+}
+
+// Put the chosen prompt in the textarea and select its model when it is available
+function loadLibraryPrompt() {
+    const entry = libraryPrompts.find(item => item.id === librarySelect.value);
+    if (!entry) {
+        return;
+    }
+    customPromptInput.value = entry.prompt;
+    libraryName.value = entry.name;
+    libraryTags.value = entry.tags.join(', ');
+    if (entry.model && Array.from(modelSelect.options).some(option => option.value === entry.model)) {
+        modelSelect.value = entry.model;
+    }
+}
+
+async function saveLibraryPrompt() {
+    if (!libraryName.value.trim() || !customPromptInput.value.trim()) {
+        alert('Please enter a prompt and a name to save it under');
+        return;
+    }
+    const existing = libraryPrompts.find(entry => entry.name.toLowerCase() === libraryName.value.trim().toLowerCase());
+    if (existing && existing.id !== librarySelect.value && !confirm(`Replace the saved prompt "${existing.name}"?`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/prompt-library', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: libraryName.value,
+                prompt: customPromptInput.value,
+                tags: libraryTags.value,
+                model: modelSelect.value || null
+            })
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || 'Failed to save the prompt');
+        }
+        librarySearch.value = '';
+        await loadPromptLibrary();
+        librarySelect.value = data.prompt.id;
+    } catch (error) {
+        alert('Error: ' + error.message);
+    }
+}
+
+async function deleteLibraryPrompt() {
+    const entry = libraryPrompts.find(item => item.id === librarySelect.value);
+    if (!entry) {
+        alert('Please choose a saved prompt to delete');
+        return;
+    }
+    if (!confirm(`Delete the saved prompt "${entry.name}"?`)) {
+        return;
+    }
+    try {
+        const response = await fetch(`/api/prompt-library/${encodeURIComponent(entry.id)}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || 'Failed to delete the prompt');
+        }
+        await loadPromptLibrary();
+    } catch (error) {
+        alert('Error: ' + error.message);
+    }
+}
+
+// Merge an exported library file; prompts with the same name are replaced
+async function importPromptLibrary() {
+    if (libraryFile.files.length === 0) {
+        return;
+    }
+    const formData = new FormData();
+    formData.append('file', libraryFile.files[0]);
+    libraryFile.value = '';
+    try {
+        const response = await fetch('/api/prompt-library/import', { method: 'POST', body: formData });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || 'Failed to import the prompts');
+        }
+        alert(`Imported ${data.added} new and ${data.updated} updated prompts`);
+        await loadPromptLibrary();
+    } catch (error) {
+        alert('Error: ' + error.message);
     }
 }
 
@@ -163,107 +702,540 @@ async function handleModelChange(e) {
 }
 
 async function handleProcess() {
-    if (!currentFile) {
-        alert('Please upload a file first');
+    // Get processing type and model
+    const selectedType = getSelectedProcessingType();
+    if (!selectedType) {
+        alert('Please select a processing type');
         return;
     }
-
-    // Get processing type and model
-    const processingType = document.querySelector('input[name="processingType"]:checked').value;
+    const processingType = selectedType.id;
     const customPromptValue = customPromptInput.value;
     const selectedModel = modelSelect.value;
 
     // Validate custom prompt
-    if (processingType === 'custom' && !customPromptValue.trim()) {
+    if (selectedType.requiresCustomPrompt && !customPromptValue.trim()) {
         alert('Please enter a custom prompt');
         return;
     }
 
+    const compareModels = getCompareModels();
+    if (compareModels && (compareModels.length < 2 || compareModels.length > 4)) {
+        alert('Please tick 2 to 4 models to compare');
+        return;
+    }
+
+    if (activeTab === 'text') {
+        if (compareModels) {
+            alert('Model comparisons need an uploaded table');
+            return;
+        }
+        return processText(processingType, customPromptValue, selectedModel);
+    }
+
+    if (!currentFile) {
+        alert('Please upload a file first');
+        return;
+    }
+
+    const isTable = isTableInput(currentFile);
+    if (compareModels && !isTable) {
+        alert('Model comparisons need an uploaded table');
+        return;
+    }
+    const selectedSheets = getSelectedSheets();
+    if (sheetList.children.length > 0 && selectedSheets.length === 0) {
+        alert('Please select at least one sheet');
+        return;
+    }
+
     try {
-        if (currentFile.name.endsWith('.xlsx') || currentFile.name.endsWith('.xls')) {
-            // Handle Excel processing - show simple progress bar
+        if (isTable) {
             progressContainer.style.display = 'block';
-            updateProgress(0, 'Initializing...');
-            await processExcelFile(currentFile, processingType, customPromptValue, selectedModel);
+            updateProgress(0, 'Uploading...');
         } else {
-            // Process other files - show loading overlay
             showLoading(selectedModel);
-            const formData = new FormData();
-            formData.append('file', currentFile);
-            formData.append('processingType', processingType);
-            formData.append('customPrompt', customPromptValue);
-            formData.append('model', selectedModel);
-
-            const response = await fetch('/api/process', {
-                method: 'POST',
-                body: formData
-            });
+        }
 
-            if (!response.ok) {
-                throw new Error('Failed to process file');
+        const formData = new FormData();
+        formData.append('file', currentFile);
+        formData.append('processingType', processingType);
+        formData.append('customPrompt', customPromptValue);
+        formData.append('model', selectedModel);
+        formData.append('outputFormat', outputFormatSelect.value);
+        const generation = getGenerationOptions();
+        if (generation) {
+            formData.append('generation', JSON.stringify(generation));
+        }
+        if (optPromptVersion.value) {
+            formData.append('promptVersion', optPromptVersion.value);
+        }
+        if (compareModels) {
+            formData.append('compareModels', JSON.stringify(compareModels));
+        }
+        if (isTable && workbookSheets.length > 0) {
+            if (sheetList.children.length > 0) {
+                formData.append('sheets', JSON.stringify(selectedSheets));
             }
+            const mapping = getColumnMapping();
+            if (mapping) {
+                formData.append('columnMapping', JSON.stringify(mapping));
+                formData.append('headerSignature', getMappingSheet().signature);
+            }
+        }
+        if (previousOutput.style.display !== 'none' && previousFile.files.length > 0) {
+            formData.append('previous', previousFile.files[0]);
+        }
+
+        const jobId = await submitJob(formData);
+        await waitForJob(jobId);
+    } catch (error) {
+        console.error('Processing error:', error);
+        alert('Error: ' + error.message + '\n\nMake sure Ollama is running with the selected model.');
+    } finally {
+        hideLoading();
+        progressContainer.style.display = 'none';
+    }
+}
 
+// Send pasted text and render the model's output as it is generated
+async function processText(processingType, customPromptValue, selectedModel) {
+    const text = textInput.value;
+    if (!text.trim()) {
+        alert('Please enter some text');
+        return;
+    }
+
+    processBtn.disabled = true;
+    currentResult = '';
+    currentDownload = null;
+    resultContent.textContent = '';
+    resultsSection.style.display = 'block';
+
+    try {
+        const response = await fetch('/api/process/text', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                text: text,
+                processingType: processingType,
+                customPrompt: customPromptValue,
+                model: selectedModel,
+                // Pasted text has no input format; the server saves a file only for a picked one
+                outputFormat: outputFormatSelect.value === 'same' ? null : outputFormatSelect.value,
+                generation: getGenerationOptions(),
+                promptVersion: optPromptVersion.value || null,
+                stream: true
+            })
+        });
+
+        if (!response.ok) {
             const result = await response.json();
+            throw new Error(result.error || 'Failed to process text');
+        }
 
-            if (result.success) {
-                // For non-Excel, download as text
-                downloadText(result.result, `processed-${Date.now()}.txt`);
-            } else {
-                throw new Error(result.error || 'Processing failed');
+        // The server sends one JSON object per line
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) {
+                break;
             }
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.filter(line => line.trim()).forEach(line => {
+                const message = JSON.parse(line);
+                if (message.error) {
+                    throw new Error(message.error);
+                }
+                if (message.token) {
+                    currentResult += message.token;
+                    resultContent.textContent = currentResult;
+                    resultContent.scrollTop = resultContent.scrollHeight;
+                }
+                if (message.downloadUrl) {
+                    // The server saved the finished text in the chosen output format
+                    currentDownload = { downloadUrl: message.downloadUrl, filename: message.filename };
+                }
+            });
         }
-
     } catch (error) {
         console.error('Processing error:', error);
         alert('Error: ' + error.message + '\n\nMake sure Ollama is running with the selected model.');
     } finally {
-        hideLoading();
+        processBtn.disabled = false;
+        loadHistory();
+    }
+}
+
+// Upload the file; the server queues it and answers with a job ID straight away
+async function submitJob(formData) {
+    const response = await fetch('/api/process', {
+        method: 'POST',
+        body: formData
+    });
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to queue file');
+    }
+
+    // Remember the job so a reload can pick it up again
+    localStorage.setItem(ACTIVE_JOB_KEY, result.jobId);
+    loadJobs();
+    return result.jobId;
+}
+
+// Follow the job's progress stream until it finishes, then hand over the result
+async function waitForJob(jobId) {
+    let job;
+    try {
+        job = await streamJobEvents(jobId);
+    } catch (error) {
+        // Fall back to polling if the event stream could not be kept open
+        console.warn('Progress stream unavailable, polling instead:', error.message);
+        job = await pollJob(jobId);
+    }
+
+    localStorage.removeItem(ACTIVE_JOB_KEY);
+    loadJobs();
+    loadHistory();
+    if (job.state === 'failed') {
+        throw new Error(job.errors.join('; ') || 'Processing failed');
+    }
+    updateProgress(100, 'Processing complete');
+    deliverJobResult(job);
+    return job;
+}
+
+function streamJobEvents(jobId) {
+    return new Promise((resolve, reject) => {
+        const source = new EventSource(`/api/jobs/${jobId}/events`);
+
+        source.addEventListener('progress', (e) => showJobProgress(JSON.parse(e.data)));
+        source.addEventListener('end', (e) => {
+            source.close();
+            resolve(JSON.parse(e.data));
+        });
+        source.onerror = () => {
+            source.close();
+            reject(new Error('Event stream closed'));
+        };
+    });
+}
+
+async function pollJob(jobId) {
+    while (true) {
+        const response = await fetch(`/api/jobs/${jobId}`);
+        if (response.status === 404) {
+            localStorage.removeItem(ACTIVE_JOB_KEY);
+            throw new Error('Job no longer exists');
+        }
+        const data = await response.json();
+        if (data.job.state === 'done' || data.job.state === 'failed') {
+            return data.job;
+        }
+        showJobProgress(data.job);
+        await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL));
+    }
+}
+
+function showJobProgress(job) {
+    if (job.state === 'queued') {
+        updateProgress(0, 'Waiting in queue...');
+        return;
+    }
+
+    const progress = job.progress;
+    if (!progress || !job.totalRows) {
+        updateProgress(0, 'Processing...');
+        return;
+    }
+
+    const percent = Math.round(job.rowsProcessed / job.totalRows * 100);
+    const where = [progress.sheet, progress.model].filter(Boolean).join(', ');
+    const sheet = where ? ` (${where})` : '';
+    let text = `Batch ${progress.batch} of ${progress.totalBatches}${sheet} · ${job.rowsProcessed}/${job.totalRows} rows`;
+    if (progress.etaSeconds !== null) {
+        text += ` · ETA ${formatDuration(progress.etaSeconds)}`;
+    } else if (progress.batchStartedAt) {
+        const waited = Math.round((Date.now() - new Date(progress.batchStartedAt).getTime()) / 1000);
+        text += ` · waiting on model (${formatDuration(waited)})`;
+    }
+    if (job.errors.length > 0) {
+        text += ` · ${job.errors.length} batch error${job.errors.length === 1 ? '' : 's'}`;
+    }
+    if (job.rowErrors.length > 0) {
+        text += ` · ${job.rowErrors.length} invalid row${job.rowErrors.length === 1 ? '' : 's'}`;
+    }
+    updateProgress(percent, text);
+    progressText.title = job.errors.concat(job.rowErrors.map(formatRowError)).join('\n');
+}
+
+function formatRowError(item) {
+    const key = item.key ? ` (${item.key})` : '';
+    const sheet = item.sheet ? `${item.sheet} ` : '';
+    return `${sheet}Row ${item.row}${key}: ${item.errors.join('; ')}`;
+}
+
+function formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return minutes + ':' + ('0' + (seconds % 60)).slice(-2);
+}
+
+function deliverJobResult(job) {
+    if (job.downloadUrl) {
+        downloadFile(job.downloadUrl, job.filename || 'processed.xlsx');
+    } else if (job.result !== null) {
+        // Jobs from before output files were saved for text results
+        downloadText(job.result, `processed-${Date.now()}.txt`);
+    }
+}
+
+// Pick up a job that was still running when the page was closed
+async function resumeActiveJob() {
+    const jobId = localStorage.getItem(ACTIVE_JOB_KEY);
+    if (!jobId) {
+        return;
+    }
+
+    progressContainer.style.display = 'block';
+    processBtn.disabled = true;
+    try {
+        await waitForJob(jobId);
+    } catch (error) {
+        console.error('Resumed job error:', error);
+        alert('Error: ' + error.message);
+    } finally {
+        processBtn.disabled = false;
         progressContainer.style.display = 'none';
     }
 }
 
-async function processExcelFile(file, processingType, customPrompt, model) {
-    return new Promise(async (resolve, reject) => {
-        try {
-            // Show simple progress steps
-            setTimeout(() => updateProgress(25, 'Processing file...'), 500);
-            setTimeout(() => updateProgress(50, 'Calling AI model...'), 1500);
-            setTimeout(() => updateProgress(75, 'Generating results...'), 3000);
+async function loadJobs() {
+    try {
+        const response = await fetch('/api/jobs');
+        const data = await response.json();
+        renderJobs(data.jobs || []);
+    } catch (error) {
+        console.error('Error loading jobs:', error);
+    }
+}
+
+function renderJobs(jobs) {
+    jobsList.innerHTML = '';
+    if (jobs.length === 0) {
+        jobsList.innerHTML = '<p class="jobs-empty">No jobs yet</p>';
+        return;
+    }
 
-            const formData = new FormData();
-            formData.append('file', file);
-            formData.append('processingType', processingType);
-            formData.append('customPrompt', customPrompt);
-            formData.append('model', model);
+    jobs.slice(0, 20).forEach(job => {
+        const item = document.createElement('div');
+        item.className = 'job-item';
 
-            const response = await fetch('/api/process', {
-                method: 'POST',
-                body: formData
+        const info = document.createElement('div');
+        info.className = 'job-info';
+        const name = document.createElement('h4');
+        name.textContent = job.fileName;
+        const meta = document.createElement('p');
+        const rows = job.totalRows ? ` · ${job.rowsProcessed}/${job.totalRows} rows` : '';
+        const cached = job.cache && job.cache.hits > 0 ? ` · ${job.cache.hits} from cache` : '';
+        const delta = job.delta ? ` · ${formatDelta(job.delta)}` : '';
+        const accuracy = job.evaluation ? ` · ${formatAccuracy(job.evaluation.fields)}` : '';
+        meta.textContent = `${formatModels(job.params)} · ${new Date(job.createdAt).toLocaleString()}${rows}${cached}${delta}${accuracy}`;
+        info.appendChild(name);
+        info.appendChild(meta);
+        if (job.errors.length > 0) {
+            const errors = document.createElement('p');
+            errors.className = 'job-errors';
+            errors.textContent = job.errors.join('; ');
+            info.appendChild(errors);
+        }
+        if (job.rowErrors && job.rowErrors.length > 0) {
+            const rowErrors = document.createElement('details');
+            rowErrors.className = 'job-row-errors';
+            const summary = document.createElement('summary');
+            summary.textContent = `${job.rowErrors.length} row${job.rowErrors.length === 1 ? '' : 's'} failed validation and kept their original values`;
+            rowErrors.appendChild(summary);
+            job.rowErrors.forEach(item => {
+                const line = document.createElement('p');
+                line.textContent = formatRowError(item);
+                rowErrors.appendChild(line);
             });
+            info.appendChild(rowErrors);
+        }
 
-            if (!response.ok) {
-                reject(new Error('Processing failed'));
-                return;
-            }
+        const state = document.createElement('span');
+        state.className = 'job-state ' + job.state;
+        state.textContent = job.state;
 
-            // Wait for response and handle download
-            const result = await response.json();
+        item.appendChild(info);
+        item.appendChild(state);
 
-            if (result.success && result.downloadUrl) {
-                updateProgress(100, 'Processing complete');
-                downloadFile(result.downloadUrl, result.filename || 'processed.xlsx');
-            } else {
-                reject(new Error(result.error || 'Processing failed'));
+        if (job.state === 'done') {
+            const actions = document.createElement('div');
+            actions.className = 'job-actions';
+            if (job.resultsUrl) {
+                const view = document.createElement('a');
+                view.className = 'btn-action';
+                view.href = job.resultsUrl;
+                view.textContent = 'View results';
+                actions.appendChild(view);
             }
+            const download = document.createElement('button');
+            download.className = 'btn-action';
+            download.textContent = 'Download';
+            download.addEventListener('click', () => deliverJobResult(job));
+            actions.appendChild(download);
+            item.appendChild(actions);
+        }
+
+        jobsList.appendChild(item);
+    });
+}
+
+
+
+async function loadHistory() {
+    try {
+        const response = await fetch('/api/history');
+        const data = await response.json();
+        renderHistory(data.runs || []);
+    } catch (error) {
+        console.error('Error loading history:', error);
+    }
+}
+
+function renderHistory(runs) {
+    historyList.innerHTML = '';
+    if (runs.length === 0) {
+        historyList.innerHTML = '<p class="jobs-empty">No runs yet</p>';
+        return;
+    }
 
-            resolve();
-        } catch (error) {
-            reject(error);
+    runs.forEach(run => {
+        const item = document.createElement('div');
+        item.className = 'job-item';
+
+        const info = document.createElement('div');
+        info.className = 'job-info';
+        const name = document.createElement('h4');
+        name.textContent = run.inputFilename;
+        const meta = document.createElement('p');
+        const type = processingTypes.find(t => t.id === run.processingType);
+        const rows = run.rows ? ` · ${run.rows} rows` : '';
+        const delta = run.delta ? ` · ${formatDelta(run.delta)}` : '';
+        const accuracy = run.accuracy ? ` · ${formatAccuracy(run.accuracy)}` : '';
+        const promptVersion = run.promptVersion ? ` (prompt ${run.promptVersion})` : '';
+        meta.textContent = `${type ? type.name : run.processingType}${promptVersion} · ${formatModels(run.params)} · ${new Date(run.finishedAt).toLocaleString()} · ${formatDuration(Math.round(run.durationMs / 1000))}${rows}${delta}${accuracy}`;
+        const generation = Object.keys(run.generation || {}).map(name => `${name}=${run.generation[name]}`).join(', ');
+        meta.title = [
+            generation ? `Generation options: ${generation}` : '',
+            run.customPrompt || ''
+        ].filter(Boolean).join('\n');
+        info.appendChild(name);
+        info.appendChild(meta);
+        if (run.errors.length > 0) {
+            const errors = document.createElement('p');
+            errors.className = 'job-errors';
+            errors.textContent = run.errors.join('; ');
+            info.appendChild(errors);
+        }
+
+        const state = document.createElement('span');
+        state.className = 'job-state ' + run.status;
+        state.textContent = run.status;
+
+        const actions = document.createElement('div');
+        actions.className = 'job-actions';
+        if (run.outputAvailable) {
+            const download = document.createElement('button');
+            download.className = 'btn-action';
+            download.textContent = 'Download';
+            download.addEventListener('click', () => downloadFile(run.downloadUrl, run.filename));
+            actions.appendChild(download);
+        }
+        if (run.inputAvailable) {
+            // Re-run with the model picked here, the run's own model by default
+            const model = document.createElement('select');
+            model.className = 'model-select history-model';
+            Array.from(modelSelect.options).forEach(option => {
+                model.appendChild(new Option(option.textContent, option.value));
+            });
+            if (!Array.from(model.options).some(option => option.value === run.model)) {
+                model.appendChild(new Option(run.model, run.model));
+            }
+            model.value = run.model;
+            // A comparison is re-run with the same models unless one model is picked
+            if (run.params.compareModels) {
+                model.insertBefore(new Option(formatModels(run.params), ''), model.firstChild);
+                model.value = '';
+            }
+            const rerun = document.createElement('button');
+            rerun.className = 'btn-action';
+            rerun.textContent = 'Re-run';
+            rerun.addEventListener('click', () => rerunFromHistory(run, model.value));
+            actions.appendChild(model);
+            actions.appendChild(rerun);
         }
+        const remove = document.createElement('button');
+        remove.className = 'btn-action';
+        remove.textContent = 'Delete';
+        remove.addEventListener('click', () => deleteRun(run));
+        actions.appendChild(remove);
+
+        item.appendChild(info);
+        item.appendChild(state);
+        item.appendChild(actions);
+        historyList.appendChild(item);
     });
 }
 
+// "gemma3:4b vs qwen3:8b" for comparison runs, else the run's model
+function formatModels(params) {
+    return params.compareModels ? params.compareModels.join(' vs ') : params.model;
+}
+
+// Queue the run's input again and follow it like a fresh upload
+async function rerunFromHistory(run, model) {
+    try {
+        const response = await fetch(`/api/history/${run.id}/rerun`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model: model })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Failed to re-run');
+        }
+        localStorage.setItem(ACTIVE_JOB_KEY, result.jobId);
+        loadJobs();
+        await resumeActiveJob();
+    } catch (error) {
+        console.error('Re-run error:', error);
+        alert('Error: ' + error.message);
+    }
+}
 
+async function deleteRun(run) {
+    if (!confirm(`Delete the run of ${run.inputFilename} and its output file?`)) {
+        return;
+    }
+    try {
+        const response = await fetch(`/api/history/${run.id}`, { method: 'DELETE' });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Failed to delete run');
+        }
+        loadHistory();
+        loadJobs();
+    } catch (error) {
+        console.error('Delete error:', error);
+        alert('Error: ' + error.message);
+    }
+}
 
 function updateProgress(percent, text) {
     progressFill.style.width = percent + '%';
@@ -310,10 +1282,15 @@ async function checkOllamaConnection() {
         const response = await fetch('/api/health');
         const data = await response.json();
 
-        if (data.ollama === 'connected') {
-            updateStatus('connected', 'Ollama Connected');
+        const providers = data.providers || [];
+        const connected = providers.filter(provider => provider.connected).length;
+        if (data.ollama !== 'connected') {
+            updateStatus('error', providers.length > 1 ? 'Models Disconnected' : 'Ollama Disconnected');
+        } else if (providers.length > 1) {
+            updateStatus('connected', `${connected}/${providers.length} Providers Connected`);
+            statusElement.title = providers.map(provider => `${provider.id}: ${provider.connected ? 'connected' : 'not reachable'}`).join('\n');
         } else {
-            updateStatus('error', 'Ollama Disconnected');
+            updateStatus('connected', 'Ollama Connected');
         }
     } catch (error) {
         updateStatus('error', 'Ollama Not Running');
@@ -328,34 +1305,71 @@ function updateStatus(status, text) {
     statusElement.querySelector('.status-text').textContent = text;
 }
 
+async function loadServerConfig() {
+    try {
+        const response = await fetch('/api/config');
+        const data = await response.json();
+        if (data.success) {
+            serverConfig = data.config;
+            const model = document.createElement('strong');
+            model.textContent = serverConfig.defaultModel;
+            footerModel.replaceChildren(' & ', model);
+        }
+    } catch (error) {
+        console.error('Error loading server settings:', error);
+    }
+}
+
 async function loadModels() {
+    const defaultModel = serverConfig.defaultModel;
     try {
         const response = await fetch('/api/models');
         const data = await response.json();
 
         if (data.success && data.models.length > 0) {
             modelSelect.innerHTML = '';
-            data.models.forEach(model => {
-                const option = document.createElement('option');
-                option.value = model;
-                option.textContent = model;
-                modelSelect.appendChild(option);
-            });
+            // With several providers, their models are grouped under the provider's id
+            const groups = (data.providers || []).filter(provider => provider.models.length > 0);
+            if (groups.length > 1) {
+                groups.forEach(provider => {
+                    const group = document.createElement('optgroup');
+                    group.label = provider.id;
+                    provider.models.forEach(model => group.appendChild(createModelOption(model)));
+                    modelSelect.appendChild(group);
+                });
+            } else {
+                data.models.forEach(model => modelSelect.appendChild(createModelOption(model)));
+            }
 
-            // Default to gemma3:4b if available, else first model
-            const defaultModel = data.models.includes('gemma3:4b') ? 'gemma3:4b' : data.models[0];
-            modelSelect.value = defaultModel;
+            // Default to the server's default model if available, else first model
+            modelSelect.value = data.models.includes(defaultModel) ? defaultModel : data.models[0];
+            renderCompareModels(data.models);
         } else {
-            // Fallback
-            modelSelect.innerHTML = '<option value="gemma3:4b">gemma3:4b</option>';
+            setFallbackModel(defaultModel);
         }
     } catch (error) {
         console.error('Error loading models:', error);
-        // Fallback
-        modelSelect.innerHTML = '<option value="gemma3:4b">gemma3:4b</option>';
+        setFallbackModel(defaultModel);
     }
 }
 
+function createModelOption(model) {
+    const option = document.createElement('option');
+    option.value = model;
+    option.textContent = model;
+    return option;
+}
+
+// Without a model list, offer the server's default model (the server also
+// falls back to it when no model is sent)
+function setFallbackModel(model) {
+    modelSelect.innerHTML = '';
+    const option = document.createElement('option');
+    option.value = model || '';
+    option.textContent = model || 'Default model';
+    modelSelect.appendChild(option);
+}
+
 // Keyboard shortcuts
 document.addEventListener('keydown', (e) => {
     // Ctrl/Cmd + Enter to process
@@ -13,8 +13,18 @@ import signal
 import sys
 from pathlib import Path
 
+from server_config import load_server_config
+
 OLLAMA_CMD = "ollama"  # must be on PATH, or use full path like "/usr/local/bin/ollama"
-API_BASE = "http://localhost:11434"
+
+# The same settings the Node.js server uses (config.json and environment variables)
+try:
+    CONFIG = load_server_config()
+except RuntimeError as e:
+    print(f"Configuration error: {e}")
+    sys.exit(1)
+API_BASE = CONFIG["ollamaUrl"]
+SERVER_PORT = CONFIG["port"]
 
 def start_ollama_server():
     """
@@ -83,18 +93,18 @@ def run_server():
         # Change to the current directory (in case run from elsewhere)
         os.chdir(os.path.dirname(os.path.abspath(__file__)))
 
-        # Kill any existing Node.js server on port 3001
-        print("Checking for existing Node.js server on port 3001...")
+        # Kill any existing Node.js server on the configured port
+        print(f"Checking for existing Node.js server on port {SERVER_PORT}...")
         if os.name == 'nt':  # Windows
             try:
                 result = subprocess.run(['netstat', '-ano'], capture_output=True, text=True, shell=True)
                 for line in result.stdout.split('\n'):
-                    if ':3001' in line and 'LISTENING' in line:
-                        parts = line.split()
-                        if len(parts) >= 5:
-                            pid = parts[-1]
-                            print(f"Killing existing process {pid} on port 3001...")
-                            subprocess.run(['taskkill', '/F', '/PID', pid], capture_output=True)
+                    parts = line.split()
+                    # Local address column, e.g. 0.0.0.0:3001
+                    if len(parts) >= 5 and parts[1].endswith(f":{SERVER_PORT}") and 'LISTENING' in line:
+                        pid = parts[-1]
+                        print(f"Killing existing process {pid} on port {SERVER_PORT}...")
+                        subprocess.run(['taskkill', '/F', '/PID', pid], capture_output=True)
             except Exception as e:
                 print(f"Warning: Could not check/kill existing server: {e}")
 
@@ -118,7 +128,7 @@ def run_server():
         sys.exit(1)
 
 if __name__ == "__main__":
-    model = "gemma3:4b"  # change to your model name
+    model = CONFIG["defaultModel"]  # set defaultModel in config.json or DEFAULT_MODEL
     print("Checking if Ollama server is already running...")
     if not wait_for_api(5):
         print("Ollama server not running. Starting ollama server...")
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+// Score a prompt/model pair against a hand-labeled file through a running
+// server's POST /api/evaluate, and print the report:
+//
+//   node scripts/evaluate.js <labeled file> [--model NAME] [--type voc] [--prompt-version v2]
+//                            [--sheets "Jan,Feb"] [--server http://localhost:3001] [--json]
+//                            [--min-accuracy 0.8]
+//
+// The labeled file is an input file whose output columns (for VOC: Module and
+// Severity) hold the correct values. Exits with 1 when the run fails or a
+// field's accuracy is below --min-accuracy, so it can gate a test run; use
+// scripts/stub-ollama.js to run it without a model.
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+const { percent } = require('../lib/evaluation');
+
+const POLL_INTERVAL_MS = 1000;
+const USAGE = 'Usage: node scripts/evaluate.js <labeled file> [--model NAME] [--type voc] [--prompt-version v2] [--sheets "Jan,Feb"] ' +
+  '[--server URL] [--json] [--min-accuracy 0.8]';
+
+function parseArgs(argv) {
+  const options = { file: null, model: null, type: 'voc', promptVersion: null, sheets: null, server: null, json: false, minAccuracy: null };
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--model': options.model = value; i++; break;
+      case '--type': options.type = value; i++; break;
+      case '--prompt-version': options.promptVersion = value; i++; break;
+      case '--sheets': options.sheets = value.split(',').map(name => name.trim()).filter(Boolean); i++; break;
+      case '--server': options.server = value.replace(/\/+$/, ''); i++; break;
+      case '--json': options.json = true; break;
+      case '--min-accuracy': options.minAccuracy = Number(value); i++; break;
+      default:
+        if (argv[i].startsWith('--') || options.file) {
+          throw new Error(`Unknown option: ${argv[i]}`);
+        }
+        options.file = argv[i];
+    }
+  }
+  if (!options.file) {
+    throw new Error(USAGE);
+  }
+  if (options.minAccuracy !== null && !(options.minAccuracy >= 0 && options.minAccuracy <= 1)) {
+    throw new Error('--min-accuracy must be a number from 0 to 1');
+  }
+  return options;
+}
+
+async function requestJson(url, init) {
+  const response = await fetch(url, init);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `HTTP ${response.status} from ${url}`);
+  }
+  return data;
+}
+
+async function submit(options) {
+  const form = new FormData();
+  form.append('file', new Blob([fs.readFileSync(options.file)]), path.basename(options.file));
+  form.append('processingType', options.type);
+  if (options.model) {
+    form.append('model', options.model);
+  }
+  if (options.promptVersion) {
+    form.append('promptVersion', options.promptVersion);
+  }
+  if (options.sheets) {
+    form.append('sheets', JSON.stringify(options.sheets));
+  }
+  const data = await requestJson(`${options.server}/api/evaluate`, { method: 'POST', body: form });
+  return data.jobId;
+}
+
+// Poll the job until it finishes, reporting progress on stderr
+async function waitForJob(server, jobId) {
+  let lastProgress = '';
+  while (true) {
+    const { job } = await requestJson(`${server}/api/jobs/${jobId}`);
+    if (job.state === 'done' || job.state === 'failed') {
+      return job;
+    }
+    const progress = job.totalRows ? `${job.rowsProcessed}/${job.totalRows} rows` : job.state;
+    if (progress !== lastProgress) {
+      process.stderr.write(`  ${progress}\n`);
+      lastProgress = progress;
+    }
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+}
+
+// Rows of cells as aligned text; the first `leftColumns` columns left-aligned,
+// the rest (numbers) right-aligned
+function formatTable(rows, leftColumns = 1) {
+  const widths = rows[0].map((cell, i) => Math.max(...rows.map(row => String(row[i]).length)));
+  return rows.map(row => '  ' + row.map((cell, i) => (i < leftColumns
+    ? String(cell).padEnd(widths[i])
+    : String(cell).padStart(widths[i]))).join('  ')).join('\n');
+}
+
+function printReport(job, evaluation) {
+  const lines = [
+    `Evaluation of ${job.params.processingType} (prompt ${job.params.promptVersion}) with ${job.params.model} on ${job.fileName}: ` +
+      `${evaluation.rows} labeled rows, ${evaluation.unanswered} without a valid answer`,
+    '',
+    'Accuracy',
+    formatTable(evaluation.fields.map(item => [item.field, `${item.correct}/${item.labeled}`, percent(item.accuracy) || 'n/a']))
+  ];
+
+  const matrix = evaluation.confusionMatrix;
+  if (matrix && matrix.expected.length > 0) {
+    lines.push('', `${matrix.field} confusion matrix (rows: expected, columns: predicted)`);
+    lines.push(formatTable([[''].concat(matrix.predicted)].concat(
+      matrix.expected.map((expected, i) => [expected].concat(matrix.counts[i]))
+    )));
+  }
+
+  const pr = evaluation.precisionRecall;
+  if (pr && pr.classes.length > 0) {
+    lines.push('', `${pr.field} precision / recall`);
+    lines.push(formatTable([[pr.field, 'Labeled', 'Predicted', 'Precision', 'Recall']]
+      .concat(pr.classes.map(item => [item.value, item.labeled, item.predicted, percent(item.precision) || '-', percent(item.recall) || '-']))
+      .concat([['Macro average', '', '', percent(pr.macroPrecision) || '-', percent(pr.macroRecall) || '-']])));
+  }
+
+  lines.push('', `Misclassified (${evaluation.misclassified.length})`);
+  if (evaluation.misclassified.length > 0) {
+    lines.push(formatTable(evaluation.misclassified.map(item => [
+      item.key || `${item.sheet} row ${item.row}`,
+      item.field,
+      `expected ${item.expected}, got ${item.predicted}`
+    ]), 3));
+  }
+  if (job.downloadUrl) {
+    lines.push('', `Output: ${job.downloadUrl}`);
+  }
+  console.log(lines.join('\n'));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.server) {
+    options.server = `http://localhost:${loadConfig().port}`;
+  }
+
+  const jobId = await submit(options);
+  process.stderr.write(`Evaluating ${options.file} (job ${jobId})\n`);
+  const job = await waitForJob(options.server, jobId);
+  if (job.state === 'failed' || !job.evaluation) {
+    throw new Error(`Evaluation failed: ${(job.errors || []).join('; ') || 'no result'}`);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(job.evaluation, null, 2));
+  } else {
+    printReport(job, job.evaluation);
+  }
+
+  const below = options.minAccuracy === null
+    ? []
+    : job.evaluation.fields.filter(item => item.accuracy !== null && item.accuracy < options.minAccuracy);
+  if (below.length > 0) {
+    console.error(`Below the minimum accuracy of ${percent(options.minAccuracy)}: ${below.map(item => item.field).join(', ')}`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+// A stand-in for Ollama that answers Customer VOC batches without a model, for
+// offline runs and tests of the evaluation harness:
+//
+//   node scripts/stub-ollama.js [--port 11435] [--answers labeled.xlsx] [--key "Case Code"] [--models stub]
+//   OLLAMA_URL=http://127.0.0.1:11435 npm start
+//
+// It serves /api/tags, /api/generate and /api/chat. Each row of a batch is
+// echoed back with Module, Summarized Problem, Severity and Severity Reason
+// from simple keyword rules, so the same input always gets the same answer.
+// With --answers, rows whose key is in that file get its values instead (any of
+// the four columns it has), which makes the scores of an evaluation exact.
+// Prompts without rows are answered with a fixed sentence.
+
+const http = require('http');
+const path = require('path');
+const xlsx = require('xlsx');
+const { readTable } = require('../lib/tabular');
+
+const ANSWER_COLUMNS = ['Module', 'Summarized Problem', 'Severity', 'Severity Reason'];
+
+// First match wins, so the specific modules come before the general ones
+const MODULE_RULES = [
+  ['Lock Screen', /lock ?screen|always on display|\baod\b/i],
+  ['Camera', /camera|photo|video|lens|selfie/i],
+  ['Battery', /battery|charg|drain|power/i],
+  ['Network', /wi-?fi|network|signal|bluetooth|\b5g\b|\blte\b|sim card|call drop/i],
+  ['Display', /display|screen|brightness|flicker|touch/i],
+  ['Settings', /setting/i]
+];
+const DEFAULT_MODULE = 'Other';
+
+const SEVERITY_RULES = [
+  ['Critical', /reboot|restart|boot|freez|crash|data loss|won'?t turn on|dead/i],
+  ['High', /not working|doesn'?t work|fail|cannot|can'?t|unable|no signal/i],
+  ['Low', /suggest|request|cosmetic|typo|icon|colou?r|would like/i]
+];
+const DEFAULT_SEVERITY = 'Medium';
+
+const SEVERITY_REASONS = {
+  Critical: 'The device becomes unusable or loses data.',
+  High: 'A major feature does not work.',
+  Medium: 'A feature works only partly or fails occasionally.',
+  Low: 'Cosmetic issue or suggestion only.'
+};
+
+function parseArgs(argv) {
+  const options = { port: 11435, answers: null, key: 'Case Code', models: ['stub'] };
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--port': options.port = Number(value); i++; break;
+      case '--answers': options.answers = value; i++; break;
+      case '--key': options.key = value; i++; break;
+      case '--models': options.models = value.split(',').map(name => name.trim()).filter(Boolean); i++; break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+// Answer rows from a workbook (every sheet) or table, keyed by `key`
+function loadAnswers(filePath, key) {
+  const ext = path.extname(filePath).toLowerCase();
+  let rows;
+  if (ext === '.xlsx' || ext === '.xls') {
+    const workbook = xlsx.readFile(filePath);
+    rows = [].concat(...workbook.SheetNames.map(name => xlsx.utils.sheet_to_json(workbook.Sheets[name], { defval: '' })));
+  } else {
+    rows = readTable(filePath, ext).rows;
+  }
+  const answers = new Map();
+  rows.forEach(row => {
+    if (row[key] !== undefined && String(row[key]).trim() !== '') {
+      answers.set(String(row[key]).trim(), row);
+    }
+  });
+  return answers;
+}
+
+function firstMatch(rules, text, fallback) {
+  const rule = rules.find(([, pattern]) => pattern.test(text));
+  return rule ? rule[0] : fallback;
+}
+
+function answerRow(row, answers, key) {
+  const title = String(row.Title || '').replace(/\[[^\]]*\]/g, ' ').replace(/\s+/g, ' ').trim();
+  const text = `${row.Title || ''} ${row.Problem || ''}`;
+  const severity = firstMatch(SEVERITY_RULES, text, DEFAULT_SEVERITY);
+  const answer = {
+    Module: firstMatch(MODULE_RULES, text, DEFAULT_MODULE),
+    'Summarized Problem': title ? title.replace(/[.!?]*$/, '.') : 'The customer reported a problem.',
+    Severity: severity,
+    'Severity Reason': SEVERITY_REASONS[severity]
+  };
+  const given = answers && answers.get(String(row[key] === undefined ? '' : row[key]).trim());
+  if (given) {
+    ANSWER_COLUMNS.forEach(column => {
+      if (given[column] !== undefined && String(given[column]).trim() !== '') {
+        answer[column] = given[column];
+      }
+    });
+  }
+  return Object.assign({}, row, answer);
+}
+
+// The rows of a batch prompt: the JSON array after the last "Input:"
+function promptRows(prompt) {
+  const input = prompt.lastIndexOf('Input:');
+  if (input === -1) {
+    return null;
+  }
+  const text = prompt.slice(input);
+  const start = text.indexOf('[');
+  const end = text.lastIndexOf(']');
+  if (start === -1 || end < start) {
+    return null;
+  }
+  try {
+    const rows = JSON.parse(text.slice(start, end + 1));
+    return Array.isArray(rows) ? rows : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function respond(prompt, options, answers) {
+  const rows = promptRows(prompt);
+  if (!rows) {
+    return `Stub response to a ${prompt.length}-character prompt.`;
+  }
+  return JSON.stringify(rows.map(row => answerRow(row, answers, options.key)), null, 2);
+}
+
+function start(options) {
+  const answers = options.answers ? loadAnswers(options.answers, options.key) : null;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      if (req.method === 'GET' && req.url === '/api/tags') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ models: options.models.map(name => ({ name: name })) }));
+      }
+      if (req.method !== 'POST' || (req.url !== '/api/generate' && req.url !== '/api/chat')) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: 'not found' }));
+      }
+
+      let request;
+      try {
+        request = JSON.parse(body);
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: 'invalid JSON' }));
+      }
+      const chat = req.url === '/api/chat';
+      const prompt = chat ? (request.messages || []).map(message => message.content).join('\n') : String(request.prompt || '');
+      const text = respond(prompt, options, answers);
+      const chunk = (content, done) => Object.assign(
+        { model: request.model, created_at: new Date().toISOString(), done: done },
+        chat ? { message: { role: 'assistant', content: content } } : { response: content }
+      );
+
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+      if (request.stream === false) {
+        return res.end(JSON.stringify(chunk(text, true)));
+      }
+      res.write(JSON.stringify(chunk(text, false)) + '\n');
+      res.end(JSON.stringify(chunk('', true)) + '\n');
+    });
+  });
+  server.listen(options.port, () => {
+    console.log(`Stub Ollama listening on http://127.0.0.1:${options.port}` +
+      (answers ? ` with ${answers.size} answers from ${options.answers}` : ''));
+  });
+  return server;
+}
+
+if (require.main === module) {
+  try {
+    start(parseArgs(process.argv.slice(2)));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { start };
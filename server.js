@@ -3,22 +3,67 @@ const multer = require('multer');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
-const http = require('http');
+const crypto = require('crypto');
 const xlsx = require('xlsx');
+const { loadConfig, publicConfig } = require('./lib/config');
+const { ProviderRegistry } = require('./lib/providers');
+const JobQueue = require('./lib/jobQueue');
+const ResultStore = require('./lib/resultStore');
+const HistoryStore = require('./lib/historyStore');
+const PromptLibrary = require('./lib/promptLibrary');
+const { ResultCache, rowCacheKey } = require('./lib/resultCache');
+const { validateRows, mergeAiFields, AI_STATUS, AI_STATUS_COLUMN } = require('./lib/outputSchema');
+const { loadProcessors, renderTemplate, describeProcessor, previousMatchKey } = require('./lib/processors');
+const { ColumnMappingStore, headerSignature } = require('./lib/columnMappings');
+const { TABULAR_EXTENSIONS, decodeText, parseTable, readTable, isTableFile, columnsOf } = require('./lib/tabular');
+const { OUTPUT_FORMATS, resolveOutputFormat, contentTypeFor, writeOutput } = require('./lib/outputWriters');
+const { normalizeGenerationOptions, resolveGenerationOptions, formatGenerationOptions } = require('./lib/generationOptions');
+const { buildSummarySheets } = require('./lib/summary');
+const { HUMAN_EDITED_COLUMN, setOverride, getOverride, applyOverrides } = require('./lib/review');
+const { DELTA_STATUS_COLUMN, DELTA_STATUS, indexPreviousRows, classifyRows, carryOver } = require('./lib/delta');
+const { AGREEMENT_COLUMN, DISAGREEMENTS_COLUMN, comparisonColumn, mergeComparisonRow, agreementRates, agreementSheet } = require('./lib/comparison');
+const { takeLabels, evaluate, evaluationSheets, formatAccuracy } = require('./lib/evaluation');
+const { PromptStore, checkTemplates } = require('./lib/promptStore');
 
 const app = express();
-const PORT = 3001;
+
+// Model providers, default model, timeouts, upload limit, port and directories
+const config = loadConfig();
+
+// Processing types, one definition file each in processors/
+const processors = loadProcessors(path.join(__dirname, 'processors'));
+
+// Versions of each type's prompt templates; the definition files' own templates
+// are recorded as versions when first seen
+const prompts = new PromptStore(path.join(config.dataDir, 'prompts'));
+processors.forEach(processor => prompts.record(processor.id, processor, `processors/${processor.definitionFile}`));
+
+// Saved custom prompts for the Insight type
+const promptLibrary = new PromptLibrary(path.join(config.dataDir, 'promptLibrary.json'));
+
+// Column mappings remembered per header row
+const columnMappings = new ColumnMappingStore(path.join(config.dataDir, 'columnMappings.json'));
+
+// Processed rows of finished table jobs, for the results view
+const results = new ResultStore(path.join(config.dataDir, 'results'));
+
+// Finished runs, and the inputs kept so a run can be repeated from the history
+const history = new HistoryStore(path.join(config.dataDir, 'history.jsonl'));
+const INPUTS_DIR = path.join(config.dataDir, 'inputs');
+
+// AI output of rows already processed, reused when the same row comes back
+const resultCache = new ResultCache(path.join(config.dataDir, 'resultCache.json'));
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
-app.use('/downloads', express.static('downloads'));
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    cb(null, 'uploads/');
+    fs.mkdirSync(config.uploadsDir, { recursive: true });
+    cb(null, config.uploadsDir);
   },
   filename: function (req, file, cb) {
     cb(null, Date.now() + '-' + file.originalname);
@@ -27,83 +72,86 @@ const storage = multer.diskStorage({
 
 const upload = multer({ 
   storage: storage,
-  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
-});
-
-// Helper function to call Ollama API
-async function callOllama(prompt, model = 'gemma3:4b', targetPort = 11434) {
-  return new Promise((resolve, reject) => {
-    const payload = { model: model, prompt: prompt, stream: false };
-    const data = JSON.stringify(payload);
-    const dataLength = Buffer.byteLength(data);
-
-    const options = {
-      hostname: '127.0.0.1',
-      port: targetPort,
-      path: '/api/generate',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': dataLength
-      },
-      // no default timeout here; we'll set it on the request socket
-    };
+  limits: { fileSize: config.uploadLimitMb * 1024 * 1024 }
+});
 
-    const req = http.request(options, (res) => {
-      let responseData = '';
-      res.on('data', (chunk) => responseData += chunk);
-      res.on('end', () => {
-        try {
-          const jsonResponse = JSON.parse(responseData);
-          // Ollama sometimes nests response; adjust if needed
-          resolve(jsonResponse.response ?? jsonResponse);
-        } catch (err) {
-          return reject(new Error('Failed to parse Ollama response: ' + err.message));
-        }
-      });
-    });
+// Workbook inspection reads the upload in memory and keeps nothing
+const inspectUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.uploadLimitMb * 1024 * 1024 }
+});
 
-    // Set socket timeout (e.g., 5 minutes)
-    req.setTimeout(5 * 60 * 1000, () => {
-      req.abort();
-    });
+// Model backends (Ollama, OpenAI-compatible servers), one per configured endpoint
+const providers = new ProviderRegistry(config.providers, config);
 
-    req.on('error', (error) => {
-      reject(new Error('Failed to connect to Ollama: ' + error.message));
-    });
+// Stream a generation from the provider the model belongs to, yielding text as
+// it arrives. `generation` holds the run's model options (lib/generationOptions.js).
+function streamModel(prompt, model = config.defaultModel, generation = {}) {
+  return providers.generate(prompt, model, generation);
+}
 
-    req.write(data);
-    req.end();
-  });
+// Call the model and collect the whole response
+async function callModel(prompt, model = config.defaultModel, generation = {}) {
+  let response = '';
+  for await (const token of streamModel(prompt, model, generation)) {
+    response += token;
+  }
+  return response;
 }
 
 // Route: Process text (JSON requests)
 app.post('/api/process/text', async (req, res) => {
   try {
-    const processingType = req.body.processingType || 'custom';
+    const processor = processors.get(req.body.processingType || 'custom');
     const customPrompt = req.body.customPrompt || '';
     const inputText = req.body.text;
-    const model = req.body.model || 'gemma3:4b';
+    const model = req.body.model || config.defaultModel;
 
     if (!inputText) {
       return res.status(400).json({ error: 'No text provided' });
     }
+    if (!processor) {
+      return res.status(400).json({ error: 'Unknown processing type' });
+    }
+    let generation;
+    let promptVersion;
+    try {
+      generation = resolveGenerationOptions(processor.generation, parseGenerationOptions(req.body.generation));
+      promptVersion = parsePromptVersion(processor.id, req.body.promptVersion);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
-    let fullPrompt = '';
-    switch (processingType) {
-      case 'custom':
-        fullPrompt = `${customPrompt}\n\n${inputText}`;
-        break;
-      default:
-        fullPrompt = inputText;
+    const fullPrompt = buildTextPrompt(getProcessor(processor.id, promptVersion), customPrompt, inputText);
+    const params = {
+      processingType: processor.id,
+      promptVersion: promptVersion,
+      customPrompt: customPrompt,
+      model: model,
+      generation: generation,
+      // Pasted text is saved as a file only when a format is asked for
+      outputFormat: req.body.outputFormat ? parseOutputFormat(req.body.outputFormat) : null,
+      originalName: 'pasted-text.txt'
+    };
+    const startedAt = Date.now();
+    const finish = (result, error) => completeTextRun(params, inputText, startedAt, result, error);
+
+    if (req.body.stream) {
+      return streamTextResult(req, res, fullPrompt, params, inputText.length, finish);
     }
 
-    const result = await callOllama(fullPrompt, model);
-    res.json({
+    let result;
+    try {
+      result = await callModel(fullPrompt, model, generation);
+    } catch (error) {
+      finish(null, error);
+      throw error;
+    }
+    res.json(Object.assign({
       success: true,
       result: result,
       inputLength: inputText.length
-    });
+    }, finish(result)));
 
   } catch (error) {
     console.error('Error processing text:', error);
@@ -113,300 +161,1586 @@ app.post('/api/process/text', async (req, res) => {
   }
 });
 
-// Route: Upload and process file (multipart/form-data)
-app.post('/api/process', upload.single('file'), async (req, res) => {
-  try {
-    const processingType = req.body.processingType || 'custom';
-    const customPrompt = req.body.customPrompt || '';
-    const model = req.body.model || 'gemma3:4b';
+// Build the prompt for free text; types without a text template send the text as-is
+function buildTextPrompt(processor, customPrompt, text) {
+  if (!processor.textTemplate) {
+    return text;
+  }
+  return renderTemplate(processor.textTemplate, { customPrompt: customPrompt, text: text });
+}
 
-    if (req.file) {
-      const ext = path.extname(req.file.originalname).toLowerCase();
-      if (ext === '.xlsx' || ext === '.xls') {
-        // For Excel, process normally
-        return processExcel(req, res);
-      } else {
-        // For other files, process normally
-        const inputText = fs.readFileSync(req.file.path, 'utf-8');
-        fs.unlinkSync(req.file.path);
-
-        let fullPrompt = '';
-        switch (processingType) {
-          case 'custom':
-            fullPrompt = `${customPrompt}\n\n${inputText}`;
-            break;
-          default:
-            fullPrompt = inputText;
-        }
+// Forward tokens to the client as newline-delimited JSON while the model generates
+async function streamTextResult(req, res, fullPrompt, params, inputLength, finish) {
+  res.writeHead(200, {
+    'Content-Type': 'application/x-ndjson',
+    'Cache-Control': 'no-cache'
+  });
+
+  let clientGone = false;
+  res.on('close', () => {
+    clientGone = true;
+  });
 
-        const result = await callOllama(fullPrompt, model);
-        res.json({
-          success: true,
-          result: result,
-          inputLength: inputText.length
-        });
+  try {
+    let result = '';
+    for await (const token of streamModel(fullPrompt, params.model, params.generation)) {
+      if (clientGone) {
+        break;
       }
-    } else {
-      return res.status(400).json({ error: 'No file provided' });
+      result += token;
+      res.write(JSON.stringify({ token: token }) + '\n');
     }
+    const saved = clientGone ? {} : finish(result);
+    res.end(JSON.stringify(Object.assign({ done: true, inputLength: inputLength }, saved)) + '\n');
+  } catch (error) {
+    console.error('Error streaming text:', error);
+    finish(null, error);
+    res.end(JSON.stringify({ error: error.message || 'Failed to process text' }) + '\n');
+  }
+}
+
+// Pasted text runs: save the output when a format was asked for and add the run
+// to the history. Returns the download fields for the response.
+function completeTextRun(params, inputText, startedAt, result, error) {
+  const id = crypto.randomUUID();
+  const saved = !error && params.outputFormat
+    ? saveOutput({ text: result }, resolveOutputFormat(params.outputFormat, 'txt'), params)
+    : {};
+
+  fs.mkdirSync(INPUTS_DIR, { recursive: true });
+  const inputPath = path.join(INPUTS_DIR, `${id}.txt`);
+  fs.writeFileSync(inputPath, inputText);
+  recordRun(id, params, { input: inputPath, previous: null }, startedAt, error
+    ? { status: 'failed', errors: [error.message || 'Processing failed'] }
+    : Object.assign({ status: 'done' }, saved));
+  return saved;
+}
+
+// Route: Upload a file and queue it for processing (multipart/form-data)
+app.post('/api/process', upload.fields([{ name: 'file', maxCount: 1 }, { name: 'previous', maxCount: 1 }]), (req, res) => {
+  const file = req.files && req.files.file ? req.files.file[0] : null;
+  const previous = req.files && req.files.previous ? req.files.previous[0] : null;
+  const discardUploads = () => [file, previous].forEach(item => item && fs.unlinkSync(item.path));
+  if (!file) {
+    discardUploads();
+    return res.status(400).json({ error: 'No file provided' });
+  }
+  if (!processors.has(req.body.processingType || 'custom')) {
+    discardUploads();
+    return res.status(400).json({ error: 'Unknown processing type' });
+  }
 
+  const processingType = req.body.processingType || 'custom';
+  let generation;
+  let promptVersion;
+  let batchSize;
+  try {
+    generation = resolveGenerationOptions(processors.get(processingType).generation, parseGenerationOptions(req.body.generation));
+    promptVersion = parsePromptVersion(processingType, req.body.promptVersion);
+    batchSize = parseBatchSize(req.body.batchSize);
   } catch (error) {
-    console.error('Error processing file:', error);
-    res.status(500).json({
-      error: error.message || 'Failed to process file'
-    });
+    discardUploads();
+    return res.status(400).json({ error: error.message });
+  }
+  // A previous output is matched row by row, so the type needs a match key
+  if (previous) {
+    if (!previousMatchKey(processors.get(processingType))) {
+      discardUploads();
+      return res.status(400).json({ error: 'This processing type cannot be compared with a previous output' });
+    }
+    const previousExt = path.extname(previous.originalname).toLowerCase();
+    if (!WORKBOOK_EXTENSIONS.includes(previousExt) && !TABULAR_EXTENSIONS.includes(previousExt)) {
+      discardUploads();
+      return res.status(400).json({ error: 'The previous output must be a workbook, CSV, TSV, JSON or JSON Lines file' });
+    }
+  }
+  // A comparison puts each model's AI fields side by side, so the type needs an output schema
+  let compareModels;
+  try {
+    compareModels = parseCompareModels(req.body.compareModels);
+  } catch (error) {
+    discardUploads();
+    return res.status(400).json({ error: error.message });
   }
+  if (compareModels) {
+    if (!processors.get(processingType).outputSchema) {
+      discardUploads();
+      return res.status(400).json({ error: 'This processing type cannot compare models' });
+    }
+    if (previous) {
+      discardUploads();
+      return res.status(400).json({ error: 'A model comparison cannot be combined with a previous output' });
+    }
+  }
+
+  const columnMapping = parseColumnMapping(req.body.columnMapping);
+  if (columnMapping && /^[0-9a-f]{16}$/.test(req.body.headerSignature || '')) {
+    columnMappings.save(req.body.headerSignature, processingType, columnMapping);
+  }
+
+  const job = jobQueue.add(file.originalname, {
+    processingType: req.body.processingType || 'custom',
+    promptVersion: promptVersion,
+    customPrompt: req.body.customPrompt || '',
+    model: compareModels ? compareModels[0] : (req.body.model || config.defaultModel),
+    compareModels: compareModels,
+    generation: generation,
+    batchSize: batchSize,
+    sheets: parseSheetList(req.body.sheets),
+    columnMapping: columnMapping,
+    outputFormat: parseOutputFormat(req.body.outputFormat),
+    uploadedPath: file.path,
+    originalName: file.originalname,
+    previousPath: previous ? previous.path : null,
+    previousName: previous ? previous.originalname : null
+  });
+
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    statusUrl: `/api/jobs/${job.id}`
+  });
 });
 
-// Excel processing
-async function processExcel(req, res) {
+// Route: Score a processing type (default: Customer VOC) against a hand-labeled
+// workbook or table. It is queued like an upload; the labels are taken off the
+// rows before processing and the finished job reports `evaluation`.
+app.post('/api/evaluate', upload.single('file'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file provided' });
+  }
+  const discardUpload = () => fs.unlinkSync(req.file.path);
+  const processingType = req.body.processingType || 'voc';
+  const processor = processors.get(processingType);
+  if (!processor) {
+    discardUpload();
+    return res.status(400).json({ error: 'Unknown processing type' });
+  }
+  if (!processor.evaluation) {
+    discardUpload();
+    return res.status(400).json({ error: 'This processing type cannot be evaluated' });
+  }
+  const ext = path.extname(req.file.originalname).toLowerCase();
+  if (!WORKBOOK_EXTENSIONS.includes(ext) && !TABULAR_EXTENSIONS.includes(ext)) {
+    discardUpload();
+    return res.status(400).json({ error: 'The labeled file must be a workbook, CSV, TSV, JSON or JSON Lines file' });
+  }
+  let generation;
+  let promptVersion;
+  let batchSize;
   try {
-    const uploadedPath = req.file.path;
-    const originalName = req.file.originalname;
+    generation = resolveGenerationOptions(processor.generation, parseGenerationOptions(req.body.generation));
+    promptVersion = parsePromptVersion(processingType, req.body.promptVersion);
+    batchSize = parseBatchSize(req.body.batchSize);
+  } catch (error) {
+    discardUpload();
+    return res.status(400).json({ error: error.message });
+  }
 
-    // Read Excel file and convert to JSON
-    const workbook = xlsx.readFile(uploadedPath);
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const rows = xlsx.utils.sheet_to_json(worksheet, { defval: '' });
+  const job = jobQueue.add(req.file.originalname, {
+    processingType: processingType,
+    promptVersion: promptVersion,
+    customPrompt: '',
+    model: req.body.model || config.defaultModel,
+    generation: generation,
+    batchSize: batchSize,
+    sheets: parseSheetList(req.body.sheets),
+    columnMapping: null,
+    outputFormat: parseOutputFormat(req.body.outputFormat),
+    uploadedPath: req.file.path,
+    originalName: req.file.originalname,
+    evaluate: true
+  });
 
-    const processingType = req.body.processingType || 'custom';
-    const customPrompt = req.body.customPrompt || '';
-    const model = req.body.model || 'gemma3:4b';
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    statusUrl: `/api/jobs/${job.id}`
+  });
+});
 
-    let modelPrompt = '';
-    if (processingType === 'voc') {
-      modelPrompt = `You are a data-cleaning assistant for Voice of Problem analysis reported by customers.
-Your goal is to process each row of customer feedback data, extract meaningful insights, and generate structured outputs for Excel.
+// `promptVersion` field: a version of the type's prompts, the latest when empty.
+// Throws for versions the type does not have.
+function parsePromptVersion(processingType, value) {
+  if (!value) {
+    return prompts.latest(processingType).version;
+  }
+  if (!prompts.get(processingType, String(value))) {
+    throw new Error(`Unknown prompt version "${value}"`);
+  }
+  return String(value);
+}
 
+// `batchSize` field: rows per model request, 1 to MAX_BATCH_SIZE; empty means
+// DEFAULT_BATCH_SIZE. Throws on anything else.
+function parseBatchSize(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_BATCH_SIZE;
+  }
+  const size = Number(value);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_BATCH_SIZE) {
+    throw new Error(`batchSize must be a whole number from 1 to ${MAX_BATCH_SIZE}`);
+  }
+  return size;
+}
 
-For each row in the input data:
+// `sheets` form field: a JSON array of sheet names; empty means the first sheet
+function parseSheetList(value) {
+  if (!value) {
+    return null;
+  }
+  try {
+    const sheets = JSON.parse(value);
+    return Array.isArray(sheets) ? sheets.map(String) : null;
+  } catch (error) {
+    return null;
+  }
+}
 
-Merge & Clean
-Combine and clean the Title and Problem fields into one single clear English sentence that accurately describes the real user issue.
+// `outputFormat` field: one of OUTPUT_FORMATS, or 'same' to keep the input's format
+function parseOutputFormat(value) {
+  return OUTPUT_FORMATS[value] ? value : 'same';
+}
 
-Module Identification
-Identify the correct product module or functional area the issue belongs to
-(e.g., Lock Screen, Camera, Battery, Network, Settings, Display, App Permissions, etc.).
+// `generation` field: model option overrides, as an object (JSON requests) or
+// a JSON string (form uploads). Throws on invalid options.
+function parseGenerationOptions(value) {
+  if (typeof value === 'string') {
+    if (!value.trim()) {
+      return {};
+    }
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      throw new Error('Generation options are not valid JSON');
+    }
+  }
+  return normalizeGenerationOptions(value);
+}
 
-Severity Classification
-Determine severity based on user impact, using the rules below.
+// `compareModels` field: a JSON array (or, from JSON requests, an array) of
+// MIN_COMPARE_MODELS to MAX_COMPARE_MODELS different model references. Empty
+// means a normal run; throws on anything else.
+function parseCompareModels(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      throw new Error('compareModels is not valid JSON');
+    }
+  }
+  if (!Array.isArray(value)) {
+    throw new Error('compareModels must be an array of model names');
+  }
+  const models = Array.from(new Set(value.map(model => String(model).trim()).filter(Boolean)));
+  if (models.length < MIN_COMPARE_MODELS || models.length > MAX_COMPARE_MODELS) {
+    throw new Error(`Choose ${MIN_COMPARE_MODELS} to ${MAX_COMPARE_MODELS} different models to compare`);
+  }
+  return models;
+}
 
-Severity Reason
-Provide 1 concise sentence explaining why the chosen severity applies
-(e.g., “Major feature not working”, “Cosmetic issue only”, “Device freeze causing usability problems”, etc.).
+// `columnMapping` form field: a JSON object of expected field -> source column
+function parseColumnMapping(value) {
+  if (!value) {
+    return null;
+  }
+  try {
+    const mapping = JSON.parse(value);
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      return null;
+    }
+    const cleaned = {};
+    Object.keys(mapping).forEach(field => {
+      cleaned[field] = mapping[field] === null ? null : String(mapping[field]);
+    });
+    return cleaned;
+  } catch (error) {
+    return null;
+  }
+}
 
-Output JSON Object
-For each row, produce one JSON object containing EXACTLY these keys in this order:
+// Route: List a workbook's sheets with row counts and headers (nothing is stored).
+// CSV, TSV, JSON and JSON Lines files are reported as a single sheet.
+app.post('/api/workbook/sheets', inspectUpload.single('file'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file provided' });
+  }
+  try {
+    const ext = path.extname(req.file.originalname).toLowerCase();
+    let sheets;
+    if (TABULAR_EXTENSIONS.includes(ext)) {
+      const table = parseTable(req.file.buffer, ext);
+      sheets = [{
+        name: tableSheetName(req.file.originalname),
+        rowCount: table.rows.length,
+        headers: columnsOf(table.rows),
+        encoding: table.encoding
+      }];
+    } else {
+      const workbook = xlsx.read(req.file.buffer, { type: 'buffer' });
+      sheets = workbook.SheetNames.map(name => {
+        const worksheet = workbook.Sheets[name];
+        const headerRow = xlsx.utils.sheet_to_json(worksheet, { header: 1, blankrows: false })[0] || [];
+        return {
+          name: name,
+          rowCount: xlsx.utils.sheet_to_json(worksheet, { defval: '' }).length,
+          headers: headerRow.map(String)
+        };
+      });
+    }
 
-Case Code,
-Model No.,
-Title,
-Problem,
-Module,
-Summarized Problem,
-Severity,
-Severity Reason
+    sheets.forEach(sheet => {
+      sheet.signature = headerSignature(sheet.headers);
+      sheet.savedMappings = columnMappings.get(sheet.signature);
+    });
+    res.json({ success: true, sheets: sheets });
+  } catch (error) {
+    console.error('Error reading workbook:', error);
+    res.status(400).json({ success: false, error: 'Could not read workbook: ' + error.message });
+  }
+});
 
-📌 Rules
-Text Cleaning Rules
+// Route: Available processing types
+app.get('/api/processing-types', (req, res) => {
+  const types = Array.from(processors.values())
+    .sort((a, b) => a.order - b.order)
+    .map(processor => Object.assign(describeProcessor(processor), { promptVersion: prompts.latest(processor.id).version }));
+  res.json({ success: true, types: types });
+});
 
-Remove IDs, usernames, timestamps, tags or anything inside [ ... ].
-Example: [Samsung Members][AppName: Samsung Members] → ignored
+// The templates a processing type has, by prompt store field
+function templateKinds(processor) {
+  return ['promptTemplate', 'textTemplate'].filter(kind => processor[kind]);
+}
 
-Translate non-English text to English.
-Avoid duplication when merging Title + Problem.
-Avoid internal diagnostic notes (e.g., “log 부족”, “H/W check needed”).
-Output one complete sentence for Summarized Problem.
+// Route: Prompt versions of a processing type, oldest first
+app.get('/api/prompts/:type', (req, res) => {
+  const processor = processors.get(req.params.type);
+  if (!processor) {
+    return res.status(404).json({ success: false, error: 'Unknown processing type' });
+  }
+  res.json({
+    success: true,
+    processingType: processor.id,
+    templates: templateKinds(processor),
+    latest: prompts.latest(processor.id).version,
+    versions: prompts.list(processor.id)
+  });
+});
 
-📌 Severity Guidelines
+// Route: One prompt version
+app.get('/api/prompts/:type/:version', (req, res) => {
+  const version = processors.has(req.params.type) ? prompts.get(req.params.type, req.params.version) : null;
+  if (!version) {
+    return res.status(404).json({ success: false, error: 'Prompt version not found' });
+  }
+  res.json({ success: true, version: version });
+});
 
-Choose the severity that best reflects real customer impact:
+// Route: Save edited templates as the type's next prompt version
+app.post('/api/prompts/:type', (req, res) => {
+  const processor = processors.get(req.params.type);
+  if (!processor) {
+    return res.status(404).json({ success: false, error: 'Unknown processing type' });
+  }
+  const templates = { promptTemplate: req.body.promptTemplate, textTemplate: req.body.textTemplate };
+  try {
+    checkTemplates(templates, templateKinds(processor));
+    if (req.body.basedOn && !prompts.get(processor.id, req.body.basedOn)) {
+      throw new Error(`Unknown prompt version "${req.body.basedOn}"`);
+    }
+    const version = prompts.save(processor.id, templates, { note: req.body.note, basedOn: req.body.basedOn });
+    res.status(201).json({ success: true, version: version });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
 
-Severity	When to Use
-Critical	Device unusable, boot failure, data loss, crashes, freezing.
-High	Major feature not working (e.g., Camera fails, Wi-Fi not connecting).
-Medium	Partial malfunction, occasional failure, degraded experience.
-Low	Minor UI issue, cosmetic problem, suggestion or enhancement request.
+// Route: Saved custom prompts, searched by `q` and filtered by `tag`
+app.get('/api/prompt-library', (req, res) => {
+  res.json({ success: true, prompts: promptLibrary.list(req.query.q, req.query.tag) });
+});
 
-📌 Output Format Requirements
+// Route: The whole prompt library as a JSON file, for importing elsewhere
+app.get('/api/prompt-library/export', (req, res) => {
+  res.setHeader('Content-Disposition', 'attachment; filename="prompt-library.json"');
+  res.json(promptLibrary.export());
+});
 
-Return a single JSON array.
-No explanations outside the JSON.
-The JSON must be valid and strictly parseable.
-Each output object must preserve the input order.
-Output must match this structural sequence:
+// Route: Save a custom prompt `{ name, prompt, tags, model }`; a prompt with
+// the same name is replaced
+app.post('/api/prompt-library', (req, res) => {
+  try {
+    const { prompt, created } = promptLibrary.save(req.body);
+    res.status(created ? 201 : 200).json({ success: true, prompt: prompt, created: created });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
 
-Case Code,
-Model No.,
-Title,
-Problem,
-Module,
-Summarized Problem,
-Severity,
-Severity Reason
+// Route: Merge an exported library file into this one, by prompt name
+app.post('/api/prompt-library/import', inspectUpload.single('file'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: 'No file provided' });
+  }
+  let data;
+  try {
+    data = JSON.parse(decodeText(req.file.buffer).text);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: 'The file is not valid JSON' });
+  }
+  try {
+    res.json(Object.assign({ success: true }, promptLibrary.import(data)));
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
 
-📌 Example Input
-[
-  {
-    "Case Code": "C-001",
-    "Model No.": "Galaxy S24U",
-    "Title": "[Samsung Members][64338785][AppName: Samsung Members][Lock Screen] Sports from Google option is not available in S24 ultra",
-    "Problem": "Sports from Google option is not available in S24 ultra: [Samsung Members Notice] Log가 부족하거나 H/W 점검이 필요하다고 판단된 경우 분석 결과와 함께 필요한 정보를 기재하여 Resolve 바랍니다."
+// Route: Delete a saved prompt
+app.delete('/api/prompt-library/:id', (req, res) => {
+  if (!promptLibrary.remove(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Prompt not found' });
   }
-]
+  res.json({ success: true });
+});
+
+// Route: List jobs, newest first
+app.get('/api/jobs', (req, res) => {
+  res.json({ success: true, jobs: jobQueue.list().map(publicJob) });
+});
 
-📌 Example Output
-[
-  {
-    "Case Code": "C-001",
-    "Model No.": "Galaxy S24U",
-    "Title": "Sports from Google option is not available in S24 ultra",
-    "Problem": "Sports from Google option is not available in S24 ultra: Log가 부족하거나 H/W 점검이 필요하다고 판단된 경우 분석 결과와 함께 필요한 정보를 기재하여 Resolve 바랍니다.",
-    "Module": "Lock Screen",
-    "Summarized Problem": "The Google Sports option is missing from the Lock Screen on the Galaxy S24 Ultra.",
-    "Severity": "Medium",
-    "Severity Reason": "A Lock Screen feature is missing, causing partial functionality loss but not affecting core device operation."
+// Route: Job status
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
   }
-]
+  res.json({ success: true, job: publicJob(job) });
+});
 
+// Route: Processed rows of a finished table job, with the columns the results
+// view filters, charts and compares on
+app.get('/api/jobs/:id/results', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  const stored = job ? results.get(job.id) : null;
+  if (!stored) {
+    return res.status(404).json({ success: false, error: 'No results for this job' });
+  }
+  const processor = processors.get(job.params.processingType);
+  res.json(Object.assign({
+    success: true,
+    job: publicJob(job),
+    dashboard: processor ? dashboardView(processor, job.params.columnMapping, stored.comparison) : null
+  }, stored));
+});
 
-Input:
-${JSON.stringify(rows, null, 2)}
+// The processing type's dashboard fields, resolved to output column names.
+// `enums` gives the natural order of values such as Severity. Comparison runs
+// get each AI field once per model.
+function dashboardView(processor, columnMapping, comparison) {
+  const spec = processor.dashboard || {};
+  const columnFor = columnResolver(processor, columnMapping);
+  const resolve = fields => (fields || []).map(field => ({ field: field, column: columnFor(field) }));
+  const enums = {};
+  Object.keys((processor.outputSchema && processor.outputSchema.enums) || {}).forEach(field => {
+    enums[columnFor(field)] = processor.outputSchema.enums[field];
+  });
+  const view = {
+    filters: resolve(spec.filters),
+    charts: resolve(spec.charts),
+    original: resolve(spec.original),
+    ai: resolve(spec.ai),
+    editable: resolve(spec.editable),
+    enums: enums
+  };
+  return comparison ? comparisonDashboard(view, processor, comparison.models) : view;
+}
 
-Return only the JSON array.`;
-    } else {
-      modelPrompt = `${customPrompt}\n\n${JSON.stringify(rows, null, 2)}`;
+// A comparison's dashboard: AI filters, charts and detail fields per model,
+// the Models Agree filter and chart, and no review (the models' answers are
+// compared, not corrected)
+function comparisonDashboard(view, processor, models) {
+  const aiColumns = Object.values(processor.outputColumns || {});
+  const perModel = fields => {
+    const expanded = [];
+    fields.forEach(item => {
+      if (!aiColumns.includes(item.column)) {
+        return expanded.push(item);
+      }
+      models.forEach(model => expanded.push({ field: comparisonColumn(item.field, model), column: comparisonColumn(item.column, model) }));
+    });
+    return expanded;
+  };
+  const agreement = { field: AGREEMENT_COLUMN, column: AGREEMENT_COLUMN };
+  const statusColumns = models.map(model => comparisonColumn(AI_STATUS_COLUMN, model));
+  const enums = { [AGREEMENT_COLUMN]: ['Yes', 'No'] };
+  Object.keys(view.enums).forEach(column => {
+    models.forEach(model => {
+      enums[comparisonColumn(column, model)] = view.enums[column];
+    });
+  });
+  return {
+    filters: [agreement].concat(perModel(view.filters)),
+    charts: [agreement].concat(perModel(view.charts)),
+    original: view.original,
+    ai: perModel(view.ai)
+      .concat(statusColumns.map(column => ({ field: column, column: column })))
+      .concat({ field: DISAGREEMENTS_COLUMN, column: DISAGREEMENTS_COLUMN }),
+    editable: [],
+    enums: enums,
+    comparison: {
+      models: models,
+      statusColumns: statusColumns,
+      fields: comparisonColumns(processor).compareColumns.map(column => ({
+        column: column,
+        columns: models.map(model => comparisonColumn(column, model))
+      }))
     }
+  };
+}
 
-    // Send to AI model
-    const modelResult = await callOllama(modelPrompt, model);
+// Route: Save a reviewer's corrections of one processed row, or their acceptance
+// of the AI values. Only the processing type's editable fields can be changed.
+app.post('/api/jobs/:id/review', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  const stored = job ? results.get(job.id) : null;
+  if (!stored) {
+    return res.status(404).json({ success: false, error: 'No results for this job' });
+  }
 
-    // Parse AI response back to JSON
-    let modelText = modelResult.trim();
-    if (!modelText) {
-      throw new Error('AI model returned empty response');
+  const { sheet, row, fields, accepted } = req.body;
+  const sheetData = stored.sheets.find(item => item.name === sheet);
+  if (!sheetData || !Number.isInteger(row) || row < 0 || row >= sheetData.rows.length) {
+    return res.status(400).json({ success: false, error: 'Unknown row' });
+  }
+  if (fields !== undefined && (!fields || typeof fields !== 'object' || Array.isArray(fields))) {
+    return res.status(400).json({ success: false, error: 'fields must be an object of column -> value' });
+  }
+  const sourceRow = sheetData.rows[row];
+
+  const processor = processors.get(job.params.processingType);
+  const view = processor ? dashboardView(processor, job.params.columnMapping, stored.comparison) : { editable: [], enums: {} };
+  const editable = view.editable.map(field => field.column);
+  const edits = Object.assign({}, (getOverride(stored.overrides, sheet, row) || {}).fields, fields);
+  const notEditable = Object.keys(edits).filter(column => !editable.includes(column));
+  if (notEditable.length > 0) {
+    return res.status(400).json({ success: false, error: `Not editable: ${notEditable.join(', ')}` });
+  }
+
+  // A value set back to what the model produced is no longer an edit. Fields
+  // with an enum only take its values, in the enum's spelling.
+  const changed = {};
+  const invalid = [];
+  Object.keys(edits).forEach(column => {
+    let value = edits[column] === null || edits[column] === undefined ? '' : String(edits[column]);
+    const original = String(sourceRow[column] === undefined ? '' : sourceRow[column]);
+    if (value === original) {
+      return;
     }
-    const firstBracket = modelText.indexOf('[');
-    const lastBracket = modelText.lastIndexOf(']');
-    if (firstBracket !== -1 && lastBracket !== -1 && lastBracket > firstBracket) {
-      modelText = modelText.substring(firstBracket, lastBracket + 1);
-    } else {
-      throw new Error('AI response does not contain a valid JSON array');
+    const allowed = view.enums[column];
+    if (allowed) {
+      const match = allowed.find(option => option.toLowerCase() === value.trim().toLowerCase());
+      if (!match) {
+        invalid.push(`${column} must be one of ${allowed.join(', ')}`);
+        return;
+      }
+      value = match;
+    }
+    if (value !== original) {
+      changed[column] = value;
+    }
+  });
+  if (invalid.length > 0) {
+    return res.status(400).json({ success: false, error: invalid.join('; ') });
+  }
+
+  const overrides = setOverride(stored.overrides || {}, sheet, row, {
+    fields: changed,
+    accepted: accepted === undefined ? Boolean((getOverride(stored.overrides, sheet, row) || {}).accepted) : Boolean(accepted)
+  });
+  results.update(job.id, { overrides: overrides });
+  res.json({ success: true, override: getOverride(overrides, sheet, row) });
+});
+
+// Route: Write the output again with the reviewers' corrections applied and a
+// Human Edited column; summary sheets are recomputed from the corrected rows
+app.post('/api/jobs/:id/export', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  const stored = job ? results.get(job.id) : null;
+  if (!stored) {
+    return res.status(404).json({ success: false, error: 'No results for this job' });
+  }
+
+  try {
+    const processor = getProcessor(job.params.processingType, job.params.promptVersion);
+    const sheets = applyOverrides(stored.sheets, stored.overrides);
+    // Comparisons cannot be reviewed, so their agreement sheet still holds;
+    // corrections do not change an evaluation's scores either
+    const summary = stored.comparison || stored.evaluation || !processor.summary
+      ? stored.summary || []
+      : summarize(sheets, processor, job.params.columnMapping);
+    const rowCount = sheets.reduce((sum, sheet) => sum + sheet.rows.length, 0);
+    const saved = saveOutput(
+      { sheets: sheets, summary: summary },
+      resolveOutputFormat(parseOutputFormat(req.body.outputFormat), stored.format || 'xlsx'),
+      Object.assign({}, job.params, { originalName: reviewedName(job.params.originalName) }),
+      {
+        delimiter: stored.delimiter,
+        metadata: { inputFilename: job.params.originalName, rows: rowCount, reviewedRows: countOverrides(stored.overrides) }
+      }
+    );
+    res.json(Object.assign({ success: true }, saved));
+  } catch (error) {
+    console.error('Error exporting reviewed results:', error);
+    res.status(500).json({ success: false, error: error.message || 'Export failed' });
+  }
+});
+
+// "voc.xlsx" -> "voc-reviewed.xlsx"
+function reviewedName(originalName) {
+  const ext = path.extname(originalName);
+  return `${path.basename(originalName, ext)}-reviewed${ext}`;
+}
+
+function countOverrides(overrides) {
+  return Object.values(overrides || {}).reduce((sum, rows) => sum + Object.keys(rows).length, 0);
+}
+
+// Route: Server-sent events with live job progress
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  const send = (current) => {
+    res.write(`event: ${current.state === 'done' || current.state === 'failed' ? 'end' : 'progress'}\n`);
+    res.write(`data: ${JSON.stringify(publicJob(current))}\n\n`);
+    if (current.state === 'done' || current.state === 'failed') {
+      cleanup();
+      res.end();
     }
+  };
+  const onUpdate = (updated) => {
+    if (updated.id === job.id) {
+      send(updated);
+    }
+  };
+  // Comment lines keep proxies from closing an idle stream during a slow batch
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    jobQueue.removeListener('update', onUpdate);
+  };
+
+  jobQueue.on('update', onUpdate);
+  req.on('close', cleanup);
+  send(job);
+});
+
+// Route: Download a processed file with the content type of its format
+app.get('/downloads/:filename', (req, res) => {
+  const filename = path.basename(req.params.filename);
+  const filePath = path.resolve(config.downloadsDir, filename);
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  res.set('Content-Type', contentTypeFor(filename));
+  res.download(filePath, filename);
+});
+
+// Route: Number of cached row results
+app.get('/api/cache', (req, res) => {
+  res.json({ success: true, entries: resultCache.size() });
+});
+
+// Route: Empty the result cache so every row is sent to the model again
+app.delete('/api/cache', (req, res) => {
+  res.json({ success: true, removed: resultCache.purge() });
+});
+
+// Route: Processing history, newest first
+app.get('/api/history', (req, res) => {
+  res.json({ success: true, runs: history.list().map(publicRun) });
+});
 
-    let parsed;
+// Route: Run a past input again, optionally with another model
+app.post('/api/history/:id/rerun', (req, res) => {
+  const run = history.get(req.params.id);
+  if (!run) {
+    return res.status(404).json({ success: false, error: 'Run not found' });
+  }
+  if (!run.inputPath || !fs.existsSync(run.inputPath)) {
+    return res.status(410).json({ success: false, error: 'The input of this run is no longer available' });
+  }
+  if (!processors.has(run.params.processingType)) {
+    return res.status(400).json({ success: false, error: 'Unknown processing type' });
+  }
+  if (run.params.promptVersion && !prompts.get(run.params.processingType, run.params.promptVersion)) {
+    return res.status(410).json({ success: false, error: `Prompt version ${run.params.promptVersion} is no longer available` });
+  }
+
+  // The job removes its uploads when it finishes, so it gets its own copies
+  const copyInput = (keptPath, suffix) => {
+    const uploadedPath = path.join(config.uploadsDir, `${Date.now()}-${suffix}${path.extname(keptPath)}`);
+    fs.copyFileSync(keptPath, uploadedPath);
+    return uploadedPath;
+  };
+  fs.mkdirSync(config.uploadsDir, { recursive: true });
+  const hasPrevious = Boolean(run.previousInputPath && fs.existsSync(run.previousInputPath)) &&
+    Boolean(previousMatchKey(processors.get(run.params.processingType)));
+  const job = jobQueue.add(run.inputFilename, Object.assign({}, run.params, {
+    model: req.body.model || run.model,
+    // Choosing another model turns a comparison into a normal run
+    compareModels: req.body.model ? null : (run.params.compareModels || null),
+    uploadedPath: copyInput(run.inputPath, 'rerun'),
+    previousPath: hasPrevious ? copyInput(run.previousInputPath, 'rerun-previous') : null,
+    previousName: hasPrevious ? run.params.previousName : null
+  }));
+
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    statusUrl: `/api/jobs/${job.id}`
+  });
+});
+
+// Route: Delete a run with its output file, kept input and stored results
+app.delete('/api/history/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (job && (job.state === 'queued' || job.state === 'running')) {
+    return res.status(409).json({ success: false, error: 'The job is still in progress' });
+  }
+  const run = history.remove(req.params.id);
+  if (!run) {
+    return res.status(404).json({ success: false, error: 'Run not found' });
+  }
+
+  [run.outputPath, run.inputPath, run.previousInputPath].forEach(filePath => {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  });
+  results.remove(run.id);
+  jobQueue.remove(run.id);
+  res.json({ success: true });
+});
+
+// The kept input's path stays on the server
+function publicRun(run) {
+  const publicFields = Object.assign({}, run, {
+    inputAvailable: Boolean(run.inputPath && fs.existsSync(run.inputPath)),
+    outputAvailable: Boolean(run.outputPath && fs.existsSync(run.outputPath))
+  });
+  delete publicFields.inputPath;
+  delete publicFields.previousInputPath;
+  return publicFields;
+}
+
+// Strip server-side paths before a job leaves the server
+function publicJob(job) {
+  const params = Object.assign({}, job.params);
+  delete params.uploadedPath;
+  delete params.previousPath;
+  return Object.assign({}, job, { params: params });
+}
+
+// Run one queued job and record it in the history. The uploaded files are moved
+// out of uploads/ once they have been processed.
+async function runJob(job, report) {
+  const startedAt = Date.now();
+  let outcome = null;
+  try {
+    const result = await processUpload(job, report);
+    outcome = Object.assign({ status: 'done' }, result);
+    return result;
+  } catch (error) {
+    outcome = { status: 'failed', errors: job.errors.concat(error.message || 'Processing failed') };
+    throw error;
+  } finally {
+    const inputPath = keepInput(job.id, job.params.uploadedPath, job.params.originalName);
+    const previousInputPath = job.params.previousPath
+      ? keepInput(job.id + '-previous', job.params.previousPath, job.params.previousName)
+      : null;
+    recordRun(job.id, job.params, { input: inputPath, previous: previousInputPath }, startedAt, outcome);
+  }
+}
+
+async function processUpload(job, report) {
+  const ext = path.extname(job.params.originalName).toLowerCase();
+  if (WORKBOOK_EXTENSIONS.includes(ext) || isTableFile(job.params.uploadedPath, ext)) {
+    // Types without a row prompt (e.g. Analyze, Q&A) look at the sheet as a whole
+    if (!getProcessor(job.params.processingType, job.params.promptVersion).promptTemplate) {
+      if (job.params.compareModels) {
+        throw new Error('This processing type cannot compare models');
+      }
+      return await processSheetAsText(job);
+    }
+    return await processExcel(job, report);
+  }
+  if (job.params.compareModels) {
+    throw new Error('Model comparisons need a workbook or table file');
+  }
+  return await processTextFile(job);
+}
+
+// Move a processed upload to data/inputs/ so the run can be repeated. Returns
+// null when it cannot be kept; that never changes the job's outcome.
+function keepInput(id, uploadedPath, originalName) {
+  if (!fs.existsSync(uploadedPath)) {
+    return null;
+  }
+  const inputPath = path.join(INPUTS_DIR, id + path.extname(originalName).toLowerCase());
+  try {
+    fs.mkdirSync(INPUTS_DIR, { recursive: true });
     try {
-      parsed = JSON.parse(modelText);
-    } catch (parseError) {
-      console.error('Failed to parse AI response:', modelText);
-      throw new Error('AI response is not valid JSON: ' + parseError.message);
-    }
-
-    // Use AI processed results directly (AI now returns complete rows)
-    const merged = parsed;
-
-    // Convert merged JSON back to Excel
-    const newWb = xlsx.utils.book_new();
-    const newSheet = xlsx.utils.json_to_sheet(merged);
-    xlsx.utils.book_append_sheet(newWb, newSheet, 'Data');
-    const buf = xlsx.write(newWb, { bookType: 'xlsx', type: 'buffer' });
-
-    // Save to file
-    const now = new Date();
-    const datetime = now.getFullYear() +
-                     ('0' + (now.getMonth() + 1)).slice(-2) +
-                     ('0' + now.getDate()).slice(-2) + '-' +
-                     ('0' + now.getHours()).slice(-2) +
-                     ('0' + now.getMinutes()).slice(-2) +
-                     ('0' + now.getSeconds()).slice(-2);
-    const processedFilename = `${model.replace(/:/g, '')}-${datetime}-${originalName}`;
-    const processedPath = path.join('downloads', processedFilename);
-    fs.writeFileSync(processedPath, buf);
-
-    fs.unlinkSync(uploadedPath);
-
-    res.json({
-      success: true,
-      downloadUrl: `/downloads/${processedFilename}`,
-      filename: processedFilename
-    });
+      fs.renameSync(uploadedPath, inputPath);
+    } catch (error) {
+      // uploads/ and the data directory can be on different filesystems
+      if (error.code !== 'EXDEV') {
+        throw error;
+      }
+      fs.copyFileSync(uploadedPath, inputPath);
+      fs.unlinkSync(uploadedPath);
+    }
+    return inputPath;
   } catch (error) {
-    console.error('Excel processing error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Processing failed'
+    console.error(`Failed to keep the input of run ${id}:`, error.message);
+    return null;
+  }
+}
+
+// Append a finished run to the history. `kept` holds the paths its input (and
+// previous output, for delta runs) were kept at; `outcome` is the run's status
+// and whatever it produced (output file, row count, errors).
+function recordRun(id, params, kept, startedAt, outcome) {
+  try {
+    const storedParams = Object.assign({}, params);
+    delete storedParams.uploadedPath;
+    delete storedParams.previousPath;
+    history.append({
+      id: id,
+      inputFilename: params.originalName,
+      processingType: params.processingType,
+      model: params.model,
+      promptVersion: params.promptVersion || null,
+      customPrompt: params.customPrompt || '',
+      generation: params.generation || {},
+      rows: outcome.rowsProcessed || null,
+      status: outcome.status,
+      errors: outcome.errors || [],
+      startedAt: new Date(startedAt).toISOString(),
+      finishedAt: new Date().toISOString(),
+      durationMs: Date.now() - startedAt,
+      outputPath: outcome.filename ? path.join(config.downloadsDir, outcome.filename) : null,
+      downloadUrl: outcome.downloadUrl || null,
+      filename: outcome.filename || null,
+      resultsUrl: outcome.resultsUrl || null,
+      delta: outcome.delta || null,
+      accuracy: outcome.evaluation ? outcome.evaluation.fields : null,
+      inputPath: kept.input,
+      previousInputPath: kept.previous,
+      params: storedParams
     });
+  } catch (error) {
+    console.error('Failed to record run in history:', error.message);
   }
 }
 
+// Plain text files are sent to the model whole
+async function processTextFile(job) {
+  const { processingType, promptVersion, customPrompt, model } = job.params;
+  const inputText = decodeText(fs.readFileSync(job.params.uploadedPath)).text;
+  const fullPrompt = buildTextPrompt(getProcessor(processingType, promptVersion), customPrompt, inputText);
+
+  const result = await callModel(fullPrompt, model, job.params.generation);
+  return Object.assign({
+    result: result,
+    inputLength: inputText.length
+  }, saveOutput({ text: result }, resolveOutputFormat(job.params.outputFormat, 'txt'), job.params));
+}
+
+const WORKBOOK_EXTENSIONS = ['.xlsx', '.xls'];
 
+// Sheet name for a single-table file: its base name, within Excel's naming rules
+function tableSheetName(originalName) {
+  const base = path.basename(originalName, path.extname(originalName)).replace(/[\[\]:*?\/\\]/g, '').slice(0, 31);
+  return base || 'Data';
+}
 
-// Models endpoint
-app.get('/api/models', async (req, res) => {
+// Read the rows of an uploaded table: the selected sheets of a workbook, or the
+// single table in a CSV, TSV, JSON or JSON Lines file
+function readInputSheets(params) {
+  const ext = path.extname(params.originalName).toLowerCase();
+  if (WORKBOOK_EXTENSIONS.includes(ext)) {
+    const workbook = xlsx.readFile(params.uploadedPath);
+    return {
+      format: 'xlsx',
+      delimiter: null,
+      sheets: resolveSheetNames(workbook, params.sheets).map(name => ({
+        name: name,
+        rows: xlsx.utils.sheet_to_json(workbook.Sheets[name], { defval: '' })
+      }))
+    };
+  }
+
+  const table = readTable(params.uploadedPath, ext);
+  return {
+    format: table.format,
+    delimiter: table.delimiter,
+    sheets: [{ name: tableSheetName(params.originalName), rows: table.rows }]
+  };
+}
+
+// Read every sheet of a previous output file. JSON output keeps its rows next to
+// the run details; sheets without source rows (summaries) are left to the caller.
+function readPreviousSheets(params) {
+  const ext = path.extname(params.previousName).toLowerCase();
+  if (WORKBOOK_EXTENSIONS.includes(ext)) {
+    const workbook = xlsx.readFile(params.previousPath);
+    return workbook.SheetNames.map(name => ({
+      name: name,
+      rows: xlsx.utils.sheet_to_json(workbook.Sheets[name], { defval: '' })
+    }));
+  }
+  if (ext === '.json') {
+    const parsed = JSON.parse(decodeText(fs.readFileSync(params.previousPath)).text);
+    if (parsed && Array.isArray(parsed.sheets)) {
+      return parsed.sheets;
+    }
+  }
+  return [{ name: tableSheetName(params.previousName), rows: readTable(params.previousPath, ext).rows }];
+}
+
+// Delta runs: the status of every row of every sheet against the previous
+// output, matched on the processing type's match key
+function classifyAgainstPrevious(params, processor, sheets) {
+  const resolve = columnResolver(processor, params.columnMapping);
+  const keyColumn = resolve(previousMatchKey(processor));
+  const compareColumns = processor.inputColumns
+    ? processor.inputColumns.map(resolve).filter(column => column !== keyColumn)
+    : null;
+  const previousSheets = readPreviousSheets(params);
+  const previousIndex = indexPreviousRows(previousSheets, keyColumn);
+  return {
+    sheets: sheets.map(sheet => classifyRows(sheet.rows, previousIndex, keyColumn, compareColumns)),
+    humanEdited: previousSheets.some(sheet => sheet.rows.some(row => HUMAN_EDITED_COLUMN in row))
+  };
+}
+
+// Write a run's result to downloads/ in the requested format, named after the
+// model, the prompt version, the time and the input file. Returns
+// { downloadUrl, filename }.
+function saveOutput(result, format, params, extra) {
+  const processor = getProcessor(params.processingType, params.promptVersion);
+  const now = new Date();
+  const metadata = Object.assign({
+    inputFilename: params.originalName,
+    processingType: processor.id,
+    model: params.model,
+    promptVersion: processor.promptVersion,
+    generation: formatGenerationOptions(params.generation),
+    timestamp: now.toISOString()
+  }, extra && extra.metadata);
+  // Details that do not apply to this run are left out
+  Object.keys(metadata).forEach(key => {
+    if (metadata[key] === null || metadata[key] === undefined) {
+      delete metadata[key];
+    }
+  });
+  const output = writeOutput(result, format, Object.assign({}, extra, { metadata: metadata }));
+
+  const datetime = now.getFullYear() +
+                   ('0' + (now.getMonth() + 1)).slice(-2) +
+                   ('0' + now.getDate()).slice(-2) + '-' +
+                   ('0' + now.getHours()).slice(-2) +
+                   ('0' + now.getMinutes()).slice(-2) +
+                   ('0' + now.getSeconds()).slice(-2);
+  const baseName = path.basename(params.originalName, path.extname(params.originalName));
+  const modelLabel = params.compareModels ? 'compare' : params.model.replace(/[^\w.-]+/g, '');
+  const processedFilename = `${modelLabel}-${processor.promptVersion}-${datetime}-${baseName}${output.ext}`;
+  fs.mkdirSync(config.downloadsDir, { recursive: true });
+  fs.writeFileSync(path.join(config.downloadsDir, processedFilename), output.buffer);
+
+  return {
+    downloadUrl: `/downloads/${processedFilename}`,
+    filename: processedFilename
+  };
+}
+
+// Tables for text-only processing types are sent as CSV in one prompt
+async function processSheetAsText(job) {
+  const { processingType, promptVersion, customPrompt, model } = job.params;
+  const input = readInputSheets(job.params);
+  const toCsv = rows => xlsx.utils.sheet_to_csv(xlsx.utils.json_to_sheet(rows));
+  const inputText = input.sheets.length === 1
+    ? toCsv(input.sheets[0].rows)
+    : input.sheets.map(sheet => `Sheet: ${sheet.name}\n${toCsv(sheet.rows)}`).join('\n\n');
+  const fullPrompt = buildTextPrompt(getProcessor(processingType, promptVersion), customPrompt, inputText);
+
+  const result = await callModel(fullPrompt, model, job.params.generation);
+  return Object.assign({
+    result: result,
+    inputLength: inputText.length
+  }, saveOutput({ text: result }, resolveOutputFormat(job.params.outputFormat, 'txt'), job.params));
+}
+
+// Excel processing
+const DEFAULT_BATCH_SIZE = 10;
+const MAX_BATCH_SIZE = 500;
+const MAX_BATCH_RETRIES = 2;
+const MAX_REPAIR_ATTEMPTS = 2;
+const MIN_COMPARE_MODELS = 2;
+const MAX_COMPARE_MODELS = 4;
+
+// A processing type with the templates of one of its prompt versions (the
+// latest when none is given); `promptVersion` and `promptHash` say which
+function getProcessor(id, promptVersion) {
+  const processor = processors.get(id);
+  if (!processor) {
+    throw new Error(`Unknown processing type "${id}"`);
+  }
+  const version = promptVersion ? prompts.get(id, promptVersion) : prompts.latest(id);
+  if (!version) {
+    throw new Error(`Unknown prompt version "${promptVersion}" of ${id}`);
+  }
+  return Object.assign({}, processor, {
+    promptTemplate: version.promptTemplate,
+    textTemplate: version.textTemplate,
+    promptVersion: version.version,
+    promptHash: version.hash
+  });
+}
+
+// Keep only the columns the processing type sends to the model, reading each
+// from the source column the user mapped it to (if any)
+function pickColumns(rows, columns, mapping) {
+  if (!columns) {
+    return rows;
+  }
+  return rows.map(row => {
+    const picked = {};
+    if ('Row' in row) {
+      picked.Row = row.Row;
+    }
+    columns.forEach(column => {
+      const source = mapping && column in mapping ? mapping[column] : column;
+      picked[column] = source !== null && source in row ? row[source] : '';
+    });
+    return picked;
+  });
+}
+
+// Build the model prompt for one batch of spreadsheet rows
+function buildExcelPrompt(processor, customPrompt, rows) {
+  return renderTemplate(processor.promptTemplate, {
+    customPrompt: customPrompt,
+    rows: JSON.stringify(pickColumns(rows, processor.inputColumns), null, 2)
+  });
+}
+
+// Parse JSON, also when the model left a trailing comma before a closing
+// bracket. Returns undefined when the text is not JSON.
+function parseLenientJson(text) {
   try {
-    const response = await new Promise((resolve, reject) => {
-      const req = http.get('http://localhost:11434/api/tags', (res) => {
-        let data = '';
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => {
-          if (res.statusCode === 200) {
-            try {
-              const json = JSON.parse(data);
-              const models = json.models ? json.models.map(m => m.name) : [];
-              resolve(models);
-            } catch (e) {
-              reject(e);
-            }
-          } else {
-            reject(new Error(`HTTP ${res.statusCode}`));
-          }
-        });
-      });
+    return JSON.parse(text);
+  } catch (parseError) {
+    try {
+      return JSON.parse(text.replace(/,\s*([\]}])/g, '$1'));
+    } catch (repairError) {
+      return undefined;
+    }
+  }
+}
+
+// The rows of a parsed response: an array, a bare object (in JSON output mode a
+// one-row batch can come back as one), or an object whose only property is the
+// array of rows. Null for anything else.
+function responseRows(parsed) {
+  if (Array.isArray(parsed)) {
+    return parsed;
+  }
+  if (!parsed || typeof parsed !== 'object') {
+    return null;
+  }
+  const values = Object.values(parsed);
+  return values.length === 1 && Array.isArray(values[0]) ? values[0] : [parsed];
+}
+
+// Extract and parse the JSON array from a raw model response. The whole text is
+// tried first, so brackets inside string values ("[Samsung Members]") do not
+// matter; only then is the JSON cut out of surrounding prose or code fences.
+function parseModelJsonArray(modelResult) {
+  const modelText = String(modelResult).trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  if (!modelText) {
+    throw new Error('AI model returned empty response');
+  }
+  const whole = responseRows(parseLenientJson(modelText));
+  if (whole) {
+    return whole;
+  }
+
+  const firstBracket = modelText.indexOf('[');
+  const lastBracket = modelText.lastIndexOf(']');
+  if (firstBracket !== -1 && lastBracket > firstBracket) {
+    const parsed = parseLenientJson(modelText.substring(firstBracket, lastBracket + 1));
+    if (Array.isArray(parsed)) {
+      return parsed;
+    }
+  }
+  const firstBrace = modelText.indexOf('{');
+  const lastBrace = modelText.lastIndexOf('}');
+  if (firstBrace !== -1 && lastBrace > firstBrace) {
+    const rows = responseRows(parseLenientJson(modelText.substring(firstBrace, lastBrace + 1)));
+    if (rows) {
+      return rows;
+    }
+  }
+
+  console.error('Failed to parse AI response:', modelText);
+  throw new Error(firstBracket === -1 && firstBrace === -1
+    ? 'AI response does not contain a valid JSON array'
+    : 'AI response is not valid JSON');
+}
+
+// Split rows into consecutive batches of at most `size` rows
+function chunkRows(rows, size) {
+  if (!Number.isInteger(size) || size < 1) {
+    throw new Error(`Invalid batch size ${size}`);
+  }
+  const batches = [];
+  for (let i = 0; i < rows.length; i += size) {
+    batches.push(rows.slice(i, i + size));
+  }
+  return batches;
+}
+
+// Ask the model to redo rows whose previous output failed validation
+function buildRepairPrompt(processor, rows, invalid) {
+  const matchKey = processor.outputSchema.matchKey || 'Row';
+  const problems = invalid
+    .map(item => `- ${matchKey} ${item.key || item.index + 1}: ${item.errors.join('; ')}`)
+    .join('\n');
+  return `Your previous output for the rows below was rejected:
+${problems}
+
+Process these rows again and follow the output rules exactly.
+
+${buildExcelPrompt(processor, '', rows)}`;
+}
+
+// Send one prompt to the model, retrying it on its own when the call or parse fails
+async function requestBatch(prompt, model, generation) {
+  let lastError;
+  for (let attempt = 0; attempt <= MAX_BATCH_RETRIES; attempt++) {
+    try {
+      const modelResult = await callModel(prompt, model, generation);
+      return parseModelJsonArray(modelResult);
+    } catch (error) {
+      lastError = error;
+      console.error(`Batch attempt ${attempt + 1} failed:`, error.message);
+    }
+  }
+  throw lastError;
+}
 
-      req.on('error', reject);
-      req.setTimeout(5000, () => {
-        req.destroy();
-        reject(new Error('Timeout'));
+// Process one batch. When the processing type has an output schema, rows are
+// validated one by one and invalid rows are sent back to the model on their own;
+// `rows` is then aligned with the batch (null where the model never gave a valid
+// row) and `rowErrors` holds the batch index and errors of those rows.
+async function processBatch(batch, processor, customPrompt, model, columnMapping, generation) {
+  // Rename mapped columns to the fields the prompt expects, and number the rows
+  // when the model needs something to echo back
+  let inputRows = columnMapping ? pickColumns(batch, processor.inputColumns, columnMapping) : batch;
+  if (processor.rowIds) {
+    inputRows = inputRows.map((row, i) => Object.assign({ Row: i + 1 }, row, { Row: i + 1 }));
+  }
+
+  const parsed = await requestBatch(buildExcelPrompt(processor, customPrompt, inputRows), model, generation);
+  if (!processor.outputSchema) {
+    return { rows: parsed, rowErrors: [] };
+  }
+
+  const schema = processor.outputSchema;
+  const checked = validateRows(parsed, inputRows, schema);
+  const rows = checked.rows;
+  let invalid = checked.invalid;
+
+  for (let attempt = 0; attempt < MAX_REPAIR_ATTEMPTS && invalid.length > 0; attempt++) {
+    const retryRows = invalid.map(item => inputRows[item.index]);
+    try {
+      const repairPrompt = buildRepairPrompt(processor, retryRows, invalid);
+      const repaired = validateRows(await requestBatch(repairPrompt, model, generation), retryRows, schema);
+      repaired.rows.forEach((row, i) => {
+        if (row) {
+          rows[invalid[i].index] = row;
+        }
       });
+      invalid = repaired.invalid.map(item => Object.assign({}, invalid[item.index], {
+        missing: item.missing,
+        errors: item.errors
+      }));
+    } catch (error) {
+      console.error('Repair attempt failed:', error.message);
+      break;
+    }
+  }
+
+  return { rows: rows, rowErrors: invalid };
+}
+
+// Process one batch, answering rows seen before from the result cache and
+// sending only the rest to the model. Only types with an output schema are
+// cached, since only their output can be matched back to its input row.
+// Returns processBatch's result aligned with the whole batch, plus the number
+// of cache hits and misses.
+async function processBatchCached(batch, processor, customPrompt, model, columnMapping, generation) {
+  if (!processor.outputSchema) {
+    const processed = await processBatch(batch, processor, customPrompt, model, columnMapping, generation);
+    return Object.assign(processed, { hits: 0, misses: batch.length });
+  }
+
+  const context = {
+    processingType: processor.id,
+    promptHash: processor.promptHash,
+    customPrompt: customPrompt,
+    model: model,
+    generation: generation
+  };
+  const keys = pickColumns(batch, processor.inputColumns, columnMapping).map(row => rowCacheKey(row, context));
+  const rows = keys.map(key => resultCache.get(key));
+  const missIndexes = rows.map((row, i) => (row ? null : i)).filter(i => i !== null);
+  const rowErrors = [];
+
+  if (missIndexes.length > 0) {
+    const processed = await processBatch(missIndexes.map(i => batch[i]), processor, customPrompt, model, columnMapping, generation);
+    const invalid = new Set(processed.rowErrors.map(item => item.index));
+    missIndexes.forEach((batchIndex, i) => {
+      rows[batchIndex] = processed.rows[i];
+      // Only output that passed validation is worth reusing
+      if (processed.rows[i] && !invalid.has(i)) {
+        resultCache.set(keys[batchIndex], processed.rows[i]);
+      }
     });
+    processed.rowErrors.forEach(item => rowErrors.push(Object.assign({}, item, { index: missIndexes[item.index] })));
+    resultCache.save();
+  }
 
-    res.json({ success: true, models: response });
-  } catch (error) {
-    console.error('Error fetching models:', error);
-    res.status(500).json({ success: false, error: 'Failed to fetch models' });
+  return { rows: rows, rowErrors: rowErrors, hits: batch.length - missIndexes.length, misses: missIndexes.length };
+}
+
+// Sheets to process: the requested names that exist, or the first sheet
+function resolveSheetNames(workbook, requested) {
+  if (!requested || requested.length === 0) {
+    return [workbook.SheetNames[0]];
   }
-});
+  const names = workbook.SheetNames.filter(name => requested.includes(name));
+  if (names.length === 0) {
+    throw new Error('None of the selected sheets exist in the workbook');
+  }
+  return names;
+}
 
-// Health check endpoint
-app.get('/api/health', async (req, res) => {
-  try {
-    // Check if Ollama is running
-    const response = await new Promise((resolve, reject) => {
-      const req = http.get('http://localhost:11434/', (res) => {
-        resolve(res.statusCode === 200);
+async function processExcel(job, report) {
+  const { processingType, promptVersion, customPrompt, model, batchSize } = job.params;
+  const processor = getProcessor(processingType, promptVersion);
+
+  // Read the selected sheets (or the single table of a CSV/JSON file) as JSON rows
+  const input = readInputSheets(job.params);
+  const totalRows = input.sheets.reduce((sum, sheet) => sum + sheet.rows.length, 0);
+  // Evaluation runs take the hand labels off the rows before the model sees them
+  const labels = job.params.evaluate ? takeLabels(input.sheets, processor) : null;
+
+  // A comparison run sends every batch to each model in turn and keeps one
+  // output per model; other runs have a single model
+  const models = job.params.compareModels || [model];
+  const comparing = models.length > 1;
+  const sheets = input.sheets.map(sheet => Object.assign(sheet, { outputs: models.map(() => []) }));
+
+  // With a previous output, unchanged rows keep their earlier results and only
+  // new and changed rows go to the model
+  const delta = job.params.previousPath ? classifyAgainstPrevious(job.params, processor, sheets) : null;
+  let rowsCarried = 0;
+  sheets.forEach((sheet, sheetIndex) => {
+    sheet.pending = [];
+    sheet.rows.forEach((sourceRow, index) => {
+      const previous = delta && delta.sheets[sheetIndex][index].previous;
+      if (previous) {
+        sheet.outputs[0][index] = carryOver(sourceRow, previous, processor.outputColumns);
+        rowsCarried++;
+      } else {
+        sheet.pending.push(index);
+      }
+    });
+  });
+
+  // Send each batch separately and stitch the results back together in input order
+  const batches = [];
+  sheets.forEach(sheet => {
+    chunkRows(sheet.pending, batchSize).forEach(indexes => {
+      batches.push({ sheet: sheet, indexes: indexes, rows: indexes.map(index => sheet.rows[index]) });
+    });
+  });
+
+  const failedBatches = [];
+  const rowErrors = [];
+  const startedAt = Date.now();
+  const cache = { hits: 0, misses: 0 };
+  let rowsSent = 0;
+  const totalBatches = batches.length * models.length;
+  report({
+    totalRows: totalRows,
+    rowsProcessed: rowsCarried,
+    progress: { batch: 0, totalBatches: totalBatches, sheet: null, model: null, etaSeconds: null, batchStartedAt: null }
+  });
+
+  for (let i = 0; i < batches.length; i++) {
+    const { sheet, rows, indexes } = batches[i];
+    for (let m = 0; m < models.length; m++) {
+      const output = sheet.outputs[m];
+      // Which model an error came from only matters when there are several
+      const modelLabel = comparing ? models[m] : undefined;
+      report({
+        progress: Object.assign({}, job.progress, {
+          batch: i * models.length + m + 1,
+          sheet: sheet.name,
+          model: modelLabel || null,
+          batchStartedAt: new Date().toISOString()
+        })
       });
+      try {
+        const processed = await processBatchCached(rows, processor, customPrompt, models[m], job.params.columnMapping, job.params.generation);
+        cache.hits += processed.hits;
+        cache.misses += processed.misses;
+        if (processor.outputSchema) {
+          // Join the AI fields onto the original rows so source columns are never rewritten
+          const rowErrorsByIndex = new Map(processed.rowErrors.map(item => [item.index, item]));
+          rows.forEach((sourceRow, j) => {
+            const rowError = rowErrorsByIndex.get(j);
+            const status = !rowError ? AI_STATUS.ok : (rowError.missing ? AI_STATUS.skipped : AI_STATUS.invalid);
+            output[indexes[j]] = mergeAiFields(sourceRow, processed.rows[j], processor.outputColumns, status);
+          });
+        } else {
+          output.push(...processed.rows);
+        }
+        if (processed.rowErrors.length > 0) {
+          processed.rowErrors.forEach(item => rowErrors.push({
+            sheet: sheet.name,
+            row: indexes[item.index] + 1,
+            model: modelLabel,
+            key: item.key,
+            errors: item.errors
+          }));
+          report({ rowErrors: rowErrors });
+        }
+      } catch (error) {
+        // Keep the source rows so the output stays aligned with the input
+        const failure = {
+          batch: i * models.length + m + 1,
+          sheet: sheet.name,
+          model: modelLabel,
+          startRow: indexes[0] + 1,
+          endRow: indexes[indexes.length - 1] + 1,
+          error: error.message
+        };
+        failedBatches.push(failure);
+        if (processor.outputSchema) {
+          rows.forEach((sourceRow, j) => {
+            output[indexes[j]] = mergeAiFields(sourceRow, null, processor.outputColumns, AI_STATUS.failed);
+          });
+        } else {
+          output.push(...rows);
+        }
+        report({ errors: job.errors.concat(formatBatchError(failure)) });
+      }
+    }
+
+    // Estimate the remaining time from the average time per row sent so far
+    rowsSent += rows.length;
+    const elapsedMs = Date.now() - startedAt;
+    const remainingRows = totalRows - rowsCarried - rowsSent;
+    report({
+      rowsProcessed: rowsCarried + rowsSent,
+      progress: Object.assign({}, job.progress, {
+        etaSeconds: Math.round(elapsedMs / rowsSent * remainingRows / 1000)
+      })
+    });
+  }
+  if (totalBatches > 0 && failedBatches.length === totalBatches) {
+    throw new Error('All batches failed: ' + failedBatches[0].error);
+  }
 
-      req.on('error', () => resolve(false));
-      req.setTimeout(5000, () => {
-        req.destroy();
-        resolve(false);
+  // Comparison rows hold each model's AI columns side by side
+  const { aiColumns, compareColumns } = comparisonColumns(processor);
+  sheets.forEach(sheet => {
+    sheet.output = comparing
+      ? sheet.rows.map((sourceRow, index) => mergeComparisonRow(sourceRow, sheet.outputs.map(output => output[index]), models, aiColumns, compareColumns))
+      : sheet.outputs[0];
+  });
+
+  // Mark every row with its delta status, last; rows processed now get an empty
+  // Human Edited column when the previous output had one
+  const deltaCounts = delta ? { new: 0, changed: 0, carriedOver: rowsCarried } : null;
+  if (delta) {
+    sheets.forEach((sheet, sheetIndex) => {
+      sheet.output = sheet.output.map((row, index) => {
+        const status = delta.sheets[sheetIndex][index].status;
+        if (status === DELTA_STATUS.new) {
+          deltaCounts.new++;
+        } else if (status === DELTA_STATUS.changed) {
+          deltaCounts.changed++;
+        }
+        const marked = Object.assign({}, row);
+        if (delta.humanEdited && !(HUMAN_EDITED_COLUMN in marked)) {
+          marked[HUMAN_EDITED_COLUMN] = '';
+        }
+        marked[DELTA_STATUS_COLUMN] = status;
+        return marked;
       });
     });
+  }
 
-    if (response) {
-      res.json({ status: 'ok', ollama: 'connected' });
-    } else {
-      res.json({ status: 'ok', ollama: 'disconnected' });
+  const outputSheets = sheets.map(sheet => ({ name: sheet.name, rows: sheet.output }));
+  // The type's own summary sheets expect one set of AI columns; comparisons
+  // get the agreement rates instead
+  const comparison = comparing ? { models: models, agreement: agreementRates(outputSheets, compareColumns) } : null;
+  const evaluation = labels ? evaluate(labels, outputSheets, processor) : null;
+  let summary = [];
+  if (comparison) {
+    summary = [agreementSheet(comparison.agreement, models)];
+  } else if (evaluation) {
+    summary = evaluationSheets(evaluation);
+  } else if (processor.summary) {
+    summary = summarize(outputSheets, processor, job.params.columnMapping);
+  }
+  results.save(job.id, {
+    sheets: outputSheets,
+    summary: summary,
+    format: input.format,
+    delimiter: input.delimiter,
+    generation: job.params.generation || {},
+    comparison: comparison,
+    evaluation: evaluation,
+    overrides: {}
+  });
+
+  // Write the output in the input's format unless another one was requested
+  const saved = saveOutput(
+    { sheets: outputSheets, summary: summary },
+    resolveOutputFormat(job.params.outputFormat, input.format),
+    job.params,
+    {
+      delimiter: input.delimiter,
+      metadata: {
+        rows: totalRows,
+        compareModels: comparing ? models.join(', ') : null,
+        previousFilename: delta ? job.params.previousName : null,
+        delta: delta ? formatDeltaCounts(deltaCounts) : null,
+        accuracy: evaluation ? formatAccuracy(evaluation) : null
+      }
     }
-  } catch (error) {
-    res.json({ status: 'ok', ollama: 'disconnected' });
+  );
+
+  return Object.assign(saved, {
+    rowsProcessed: totalRows,
+    sheets: sheets.map(sheet => ({ name: sheet.name, rows: sheet.rows.length })),
+    summarySheets: summary.map(sheet => sheet.name),
+    resultsUrl: `/results.html?job=${job.id}`,
+    batches: totalBatches,
+    cache: cache,
+    delta: deltaCounts,
+    comparison: comparison,
+    evaluation: evaluation,
+    failedBatches: failedBatches,
+    rowErrors: rowErrors,
+    errors: failedBatches.map(formatBatchError)
+  });
+}
+
+// Output column holding a processing type field: an AI output column, else the
+// source column the user mapped the field to, else the field's own name
+function columnResolver(processor, columnMapping) {
+  return field => (processor.outputColumns && processor.outputColumns[field]) ||
+    (columnMapping && columnMapping[field]) ||
+    field;
+}
+
+// A type's AI output columns, and those model comparisons check for agreement
+function comparisonColumns(processor) {
+  const outputColumns = processor.outputColumns || {};
+  return {
+    aiColumns: Object.values(outputColumns),
+    compareColumns: (processor.compareFields || Object.keys(outputColumns)).map(field => outputColumns[field])
+  };
+}
+
+// Summary sheets from the processed rows
+function summarize(outputSheets, processor, columnMapping) {
+  const enums = processor.outputSchema ? processor.outputSchema.enums : null;
+  return buildSummarySheets(outputSheets, processor.summary, columnResolver(processor, columnMapping), enums);
+}
+
+function formatDeltaCounts(counts) {
+  return `${counts.new} new, ${counts.changed} changed, ${counts.carriedOver} carried over`;
+}
+
+function formatBatchError(failure) {
+  const model = failure.model ? `, ${failure.model}` : '';
+  return `Batch ${failure.batch} (${failure.sheet}, rows ${failure.startRow}-${failure.endRow}${model}): ${failure.error}`;
+}
+
+
+
+// Route: Models of every provider. `models` lists them all as the references
+// to send back (provider-prefixed except for the first provider); `providers`
+// groups them and reports providers that could not be reached.
+app.get('/api/models', async (req, res) => {
+  const listed = await providers.listModels();
+  listed.filter(provider => !provider.connected).forEach(provider => {
+    console.error(`Error fetching models from ${provider.id}:`, provider.error);
+  });
+  if (listed.every(provider => !provider.connected)) {
+    return res.status(500).json({ success: false, error: 'Failed to fetch models', providers: listed });
   }
+  res.json({
+    success: true,
+    models: [].concat(...listed.map(provider => provider.models)),
+    providers: listed
+  });
+});
+
+// Route: Health check. `ollama` is "connected" when any provider answers.
+app.get('/api/health', async (req, res) => {
+  const status = await providers.health();
+  res.json({
+    status: 'ok',
+    ollama: status.some(provider => provider.connected) ? 'connected' : 'disconnected',
+    providers: status
+  });
 });
 
+// Route: Server settings the UI needs (default model, upload limit, providers)
+app.get('/api/config', (req, res) => {
+  res.json({ success: true, config: publicConfig(config) });
+});
+
+// Job queue (persisted so queued uploads survive a restart)
+const jobQueue = new JobQueue(path.join(config.dataDir, 'jobs.json'), runJob);
+
 // Start server
-app.listen(PORT, () => {
+app.listen(config.port, () => {
+  jobQueue.start();
   console.log(`\n🚀 Ollama Web Processor is running!`);
-  console.log(`📍 Open your browser and go to: http://localhost:${PORT}`);
-  console.log(`🤖 Make sure Ollama is running with gemma3:4b model\n`);
+  console.log(`📍 Open your browser and go to: http://localhost:${config.port}`);
+  config.providers.forEach(provider => console.log(`🤖 Model provider ${provider.id} (${provider.type}) at ${provider.url}`));
+  console.log(`   Default model: ${config.defaultModel}\n`);
 });
@@ -0,0 +1,30 @@
+#!/usr/bin/env python3
+"""
+Settings of the Ollama Web Processor as the Node.js server sees them: the
+defaults, then config.json (or the file named by CONFIG_FILE), then environment
+variables. They are read through lib/config.js, so the Python scripts never
+disagree with the server about its port or the Ollama address.
+"""
+
+import json
+import os
+import subprocess
+
+PROJECT_DIR = os.path.dirname(os.path.abspath(__file__))
+
+def load_server_config():
+    """
+    Return the server's settings as a dict (port, ollamaUrl, defaultModel, ...).
+    Raises RuntimeError when node is missing or the configuration is invalid.
+    """
+    script = ("try { console.log(JSON.stringify(require('./lib/config').loadConfig())); }"
+              " catch (error) { console.error(error.message); process.exit(1); }")
+    try:
+        result = subprocess.run(["node", "-e", script], cwd=PROJECT_DIR,
+                                capture_output=True, text=True, shell=False)
+    except OSError as e:
+        raise RuntimeError(f"Could not run node to read the configuration: {e}")
+    if result.returncode != 0:
+        message = result.stderr.strip().splitlines()
+        raise RuntimeError(message[0] if message else "Could not read the configuration")
+    return json.loads(result.stdout)
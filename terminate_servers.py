@@ -9,6 +9,8 @@ import sys
 import os
 import platform
 
+from server_config import load_server_config
+
 def run_command(cmd):
     """Run a command and return the output."""
     try:
@@ -22,21 +24,26 @@ def terminate_servers():
     Terminate Ollama, Node.js, and localhost servers.
     """
     system = platform.system().lower()
+    try:
+        port = load_server_config()["port"]
+    except RuntimeError as e:
+        print(f"Configuration error: {e}")
+        sys.exit(1)
 
     print("Terminating servers...")
 
     if system == "windows":
         # Windows commands
 
-        # 1. Kill Node.js server on port 3001
-        print("Finding and killing Node.js server on port 3001...")
-        returncode, stdout, stderr = run_command('netstat -ano | findstr :3001')
+        # 1. Kill the Node.js server on the configured port
+        print(f"Finding and killing Node.js server on port {port}...")
+        returncode, stdout, stderr = run_command(f'netstat -ano | findstr :{port}')
         if returncode == 0 and stdout:
-            # Extract PID from the last column
+            # Extract PID from the last column; the local address must be this port
             lines = stdout.strip().split('\n')
             for line in lines:
                 parts = line.split()
-                if len(parts) >= 5:
+                if len(parts) >= 5 and parts[1].endswith(f":{port}"):
                     pid = parts[-1]
                     print(f"Killing process {pid} (Node.js server)")
                     run_command(f'taskkill /F /PID {pid}')
@@ -51,8 +58,8 @@ def terminate_servers():
 
     else:
         # Unix-like systems (Linux/Mac)
-        print("Finding and killing Node.js server on port 3001...")
-        returncode, stdout, stderr = run_command('lsof -ti:3001')
+        print(f"Finding and killing Node.js server on port {port}...")
+        returncode, stdout, stderr = run_command(f'lsof -ti:{port} -sTCP:LISTEN')
         if returncode == 0 and stdout:
             pids = stdout.strip().split('\n')
             for pid in pids:
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const xlsx = require('xlsx');
+
+// scripts/evaluate.js end to end: the stub Ollama answers from the labeled
+// file, a server runs in a scratch directory, and the CLI scores against it
+
+const ROOT = path.join(__dirname, '..');
+const LABELED = [
+  { 'Case Code': 'C-1', 'Model No.': 'S24', Title: 'Phone reboots', Problem: 'Restarts every hour', Module: 'Battery', Severity: 'Critical' },
+  { 'Case Code': 'C-2', 'Model No.': 'S24', Title: 'Camera fails', Problem: 'App does not open', Module: 'Camera', Severity: 'High' },
+  { 'Case Code': 'C-3', 'Model No.': 'A55', Title: '[Members] icon colour', Problem: 'Wrong icon colour', Module: 'Display', Severity: 'Low' },
+  { 'Case Code': 'C-4', 'Model No.': 'A55', Title: 'No signal', Problem: 'Drops calls', Module: 'Network', Severity: 'Medium' }
+];
+
+function writeWorkbook(filePath, rows) {
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, xlsx.utils.json_to_sheet(rows), 'Labels');
+  xlsx.writeFile(workbook, filePath);
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitFor(url, child) {
+  const deadline = Date.now() + 15000;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`${url} exited with ${child.exitCode} before answering`);
+    }
+    try {
+      if ((await fetch(url)).ok) {
+        return;
+      }
+    } catch (error) {
+      // not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error(`${url} did not answer`);
+}
+
+function runEvaluate(args) {
+  return new Promise(resolve => {
+    const child = spawn(process.execPath, [path.join(ROOT, 'scripts', 'evaluate.js')].concat(args), {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => stdout += chunk);
+    child.stderr.on('data', chunk => stderr += chunk);
+    child.on('close', code => resolve({ code: code, stdout: stdout, stderr: stderr }));
+  });
+}
+
+test('evaluate.js against the stub Ollama', { timeout: 120000 }, async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evaluate-test-'));
+  const exact = path.join(dir, 'labeled.xlsx');
+  const mislabeled = path.join(dir, 'mislabeled.xlsx');
+  writeWorkbook(exact, LABELED);
+  writeWorkbook(mislabeled, LABELED.map((row, i) => (i === 0 ? Object.assign({}, row, { Severity: 'Low' }) : row)));
+
+  const stubPort = await freePort();
+  const serverPort = await freePort();
+  const children = [];
+  t.after(() => {
+    children.forEach(child => child.kill());
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const stub = spawn(process.execPath, [path.join(ROOT, 'scripts', 'stub-ollama.js'),
+    '--port', String(stubPort), '--answers', exact, '--models', 'stub'], { stdio: 'ignore' });
+  children.push(stub);
+  // The server keeps its uploads, downloads and data in the scratch directory
+  const server = spawn(process.execPath, [path.join(ROOT, 'server.js')], {
+    cwd: dir,
+    stdio: 'ignore',
+    env: Object.assign({}, process.env, {
+      PORT: String(serverPort),
+      OLLAMA_URL: `http://127.0.0.1:${stubPort}`,
+      DEFAULT_MODEL: 'stub',
+      CONFIG_FILE: ''
+    })
+  });
+  children.push(server);
+  await waitFor(`http://127.0.0.1:${stubPort}/api/tags`, stub);
+  const serverUrl = `http://127.0.0.1:${serverPort}`;
+  await waitFor(`${serverUrl}/api/processing-types`, server);
+
+  await t.test('exact answers score 100% and exit 0', async () => {
+    const result = await runEvaluate([exact, '--server', serverUrl, '--json', '--min-accuracy', '1']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    const evaluation = JSON.parse(result.stdout);
+    assert.strictEqual(evaluation.rows, LABELED.length);
+    assert.strictEqual(evaluation.unanswered, 0);
+    assert.deepStrictEqual(evaluation.fields.map(item => item.accuracy), [1, 1]);
+    assert.deepStrictEqual(evaluation.misclassified, []);
+  });
+
+  await t.test('accuracy below --min-accuracy exits 1', async () => {
+    const result = await runEvaluate([mislabeled, '--server', serverUrl, '--min-accuracy', '1']);
+    assert.strictEqual(result.code, 1);
+    assert.match(result.stdout, /Misclassified \(1\)/);
+    assert.match(result.stdout, /C-1\s+Severity\s+expected Low, got Critical/);
+    assert.match(result.stderr, /Below the minimum accuracy of 100%: Severity/);
+  });
+
+  await t.test('without --min-accuracy a lower score still exits 0', async () => {
+    const result = await runEvaluate([mislabeled, '--server', serverUrl]);
+    assert.strictEqual(result.code, 0, result.stderr);
+  });
+});
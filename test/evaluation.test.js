@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { loadProcessors } = require('../lib/processors');
+const { AI_STATUS_COLUMN, AI_STATUS } = require('../lib/outputSchema');
+const { NO_ANSWER, takeLabels, evaluate, evaluationSheets } = require('../lib/evaluation');
+
+const voc = loadProcessors(path.join(__dirname, '..', 'processors')).get('voc');
+
+// Labeled rows, and what the model answered for each: [Module, Severity, AI Status]
+const LABELED = [
+  { 'Case Code': 'C-1', Title: 'Phone reboots', Module: 'Battery', Severity: 'Critical' },
+  { 'Case Code': 'C-2', Title: 'Camera fails', Module: 'Camera', Severity: 'High' },
+  { 'Case Code': 'C-3', Title: 'Screen icon', Module: 'Display', Severity: 'Low' },
+  { 'Case Code': 'C-4', Title: 'No signal', Module: 'Network', Severity: 'High' },
+  { 'Case Code': 'C-5', Title: 'Not labeled', Module: '', Severity: '' }
+];
+const ANSWERS = [
+  ['Battery', 'Critical', AI_STATUS.ok],
+  ['Camera', 'Medium', AI_STATUS.ok],
+  ['Battery', 'low', AI_STATUS.ok],
+  ['', '', AI_STATUS.failed],
+  ['Settings', 'Low', AI_STATUS.ok]
+];
+
+function scoreSample() {
+  const sheets = [{ name: 'Sample', rows: LABELED.map(row => Object.assign({}, row)) }];
+  const labels = takeLabels(sheets, voc);
+  const output = [{
+    name: 'Sample',
+    rows: sheets[0].rows.map((row, i) => Object.assign({}, row, {
+      Module: ANSWERS[i][0],
+      Severity: ANSWERS[i][1],
+      [AI_STATUS_COLUMN]: ANSWERS[i][2]
+    }))
+  }];
+  return { sheets: sheets, evaluation: evaluate(labels, output, voc) };
+}
+
+test('takeLabels removes the label columns before the rows reach the model', () => {
+  const { sheets } = scoreSample();
+  sheets[0].rows.forEach(row => {
+    assert.ok(!('Module' in row));
+    assert.ok(!('Severity' in row));
+    assert.ok('Title' in row);
+  });
+});
+
+test('takeLabels rejects a file without labels', () => {
+  assert.throws(() => takeLabels([{ name: 'S', rows: [{ 'Case Code': 'C-1' }] }], voc), /none of the columns/);
+});
+
+test('accuracy skips unlabeled rows and counts rows without an answer as wrong', () => {
+  const { evaluation } = scoreSample();
+  assert.strictEqual(evaluation.rows, 4);
+  assert.strictEqual(evaluation.unanswered, 1);
+  assert.deepStrictEqual(evaluation.fields, [
+    { field: 'Module', labeled: 4, correct: 2, accuracy: 0.5 },
+    { field: 'Severity', labeled: 4, correct: 2, accuracy: 0.5 }
+  ]);
+});
+
+test('the confusion matrix follows the enum order and has a no-answer column', () => {
+  const matrix = scoreSample().evaluation.confusionMatrix;
+  assert.strictEqual(matrix.field, 'Severity');
+  assert.deepStrictEqual(matrix.expected, ['Critical', 'High', 'Medium', 'Low']);
+  assert.deepStrictEqual(matrix.predicted, ['Critical', 'High', 'Medium', 'Low', NO_ANSWER]);
+  assert.deepStrictEqual(matrix.counts, [
+    [1, 0, 0, 0, 0],
+    [0, 0, 1, 0, 1],
+    [0, 0, 0, 0, 0],
+    [0, 0, 0, 1, 0]
+  ]);
+});
+
+test('precision and recall per value, with macro averages', () => {
+  const pr = scoreSample().evaluation.precisionRecall;
+  assert.strictEqual(pr.field, 'Module');
+  assert.deepStrictEqual(pr.classes.map(item => [item.value, item.labeled, item.predicted, item.precision, item.recall]), [
+    ['Battery', 1, 2, 0.5, 1],
+    ['Camera', 1, 1, 1, 1],
+    ['Display', 1, 0, null, 0],
+    ['Network', 1, 0, null, 0]
+  ]);
+  assert.strictEqual(pr.macroPrecision, 0.75);
+  assert.strictEqual(pr.macroRecall, 0.5);
+});
+
+test('misclassified rows name the key, field and both values', () => {
+  const { evaluation } = scoreSample();
+  assert.deepStrictEqual(evaluation.misclassified.map(item => [item.key, item.field, item.expected, item.predicted]), [
+    ['C-2', 'Severity', 'High', 'Medium'],
+    ['C-3', 'Module', 'Display', 'Battery'],
+    ['C-4', 'Module', 'Network', NO_ANSWER],
+    ['C-4', 'Severity', 'High', NO_ANSWER]
+  ]);
+});
+
+test('evaluationSheets writes every table', () => {
+  const sheets = evaluationSheets(scoreSample().evaluation);
+  assert.deepStrictEqual(sheets.map(sheet => sheet.name), [
+    'Accuracy',
+    'Severity Confusion',
+    'Module Precision Recall',
+    'Misclassified'
+  ]);
+  assert.deepStrictEqual(sheets[0].rows[0], { Field: 'Module', 'Rows Labeled': 4, Correct: 2, Accuracy: '50%' });
+  assert.strictEqual(sheets[1].rows[1][NO_ANSWER], 1);
+  assert.strictEqual(sheets[3].rows[0]['Case Code'], 'C-2');
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { ProviderRegistry } = require('../lib/providers');
+
+const TIMEOUTS = { requestTimeoutMs: 5000, idleTimeoutMs: 5000 };
+
+// An Ollama endpoint that sends `body` as two chunks split at byte `splitAt`
+function splitServer(body, splitAt) {
+  const bytes = Buffer.from(body, 'utf8');
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+    res.write(bytes.subarray(0, splitAt));
+    setTimeout(() => res.end(bytes.subarray(splitAt)), 20);
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function collect(registry, model) {
+  let text = '';
+  for await (const part of registry.generate('prompt', model)) {
+    text += part;
+  }
+  return text;
+}
+
+test('a multibyte character split across two chunks is decoded whole', async t => {
+  const line = JSON.stringify({ response: '카메라 고장', done: true }) + '\n';
+  // Inside the three bytes of 카
+  const splitAt = Buffer.byteLength(line.slice(0, line.indexOf('카')), 'utf8') + 1;
+  const server = await splitServer(line, splitAt);
+  t.after(() => server.close());
+
+  const registry = new ProviderRegistry([
+    { id: 'ollama', type: 'ollama', url: `http://127.0.0.1:${server.address().port}` }
+  ], TIMEOUTS);
+  assert.strictEqual(await collect(registry, 'stub'), '카메라 고장');
+});
+
+test('models listed with a split multibyte name are decoded whole', async t => {
+  const body = JSON.stringify({ models: [{ name: '모델' }] });
+  const server = await splitServer(body, Buffer.byteLength(body.slice(0, body.indexOf('모')), 'utf8') + 2);
+  t.after(() => server.close());
+
+  const registry = new ProviderRegistry([
+    { id: 'ollama', type: 'ollama', url: `http://127.0.0.1:${server.address().port}` }
+  ], TIMEOUTS);
+  const [provider] = await registry.listModels();
+  assert.deepStrictEqual(provider.models, ['모델']);
+});